@@ -0,0 +1,315 @@
+import Web3 from 'web3';
+import { BigNumber } from 'bignumber.js';
+import { BatchedRead, latestBlockTimestamp, readBatch } from './util';
+import { Labels, metrics } from './metrics';
+
+// Recomputes the Uniswap anchor prices of `UniswapAnchoredView` off-chain, so that symbols the view would
+// refuse with `PriceGuarded` can be left out of a post.
+
+export type AnchorCheckMode = 'exclude' | 'flag' | 'off';
+
+const UINT32 = new BigNumber(2).pow(32);
+const UINT224 = new BigNumber(2).pow(224);
+const UINT256 = new BigNumber(2).pow(256);
+const Q112 = new BigNumber(2).pow(112);
+const EXP_SCALE = new BigNumber(1e18);
+const ETH_BASE_UNIT = new BigNumber(1e18);
+// `FixedPoint.decode112with18`
+const DECODE_112_WITH_18 = new BigNumber('5192296858534827');
+// `UniswapConfig.PriceSource.REPORTER`
+const PRICE_SOURCE_REPORTER = 2;
+
+export interface Observation {
+  timestamp: number
+  acc: BigNumber
+}
+
+export interface AnchorConfig {
+  priceSource: number
+  baseUnit: BigNumber
+  uniswapMarket: string
+  isUniswapReversed: boolean
+  oldObservation: Observation
+  newObservation: Observation
+  // The pair's cumulative price for this token, as of the block the post is expected in
+  cumulativePrice: BigNumber
+}
+
+// What the view would store for a symbol posted without messages, once its reporter is invalidated
+export interface KeeperAnchor {
+  symbol: string
+  // The anchor price the view would store, and the price it stores now, with 6 decimals
+  anchorPrice: BigNumber
+  storedPrice: BigNumber
+  // When the symbol's anchor window last moved
+  windowTimestamp: number
+}
+
+export interface ViewAnchorParams {
+  reporter: string
+  reporterInvalidated: boolean
+  upperBoundAnchorRatio: BigNumber
+  lowerBoundAnchorRatio: BigNumber
+  anchorPeriod: number
+}
+
+// `UniswapV2OracleLibrary.currentCumulativePrices`, counterfactually accumulating the current reserves
+// if the pair hasn't been updated at `now`
+export function currentCumulativePrice(
+    price0CumulativeLast: BigNumber,
+    price1CumulativeLast: BigNumber,
+    reserve0: BigNumber,
+    reserve1: BigNumber,
+    blockTimestampLast: number,
+    now: number,
+    isUniswapReversed: boolean): BigNumber {
+  const blockTimestamp = new BigNumber(now).modulo(UINT32);
+
+  if (blockTimestamp.isEqualTo(blockTimestampLast)) {
+    return isUniswapReversed ? price1CumulativeLast : price0CumulativeLast;
+  }
+
+  const timeElapsed = blockTimestamp.minus(blockTimestampLast).plus(UINT32).modulo(UINT32);
+  const [cumulativeLast, numerator, denominator] = isUniswapReversed ?
+    [price1CumulativeLast, reserve0, reserve1] :
+    [price0CumulativeLast, reserve1, reserve0];
+  const fraction = numerator.multipliedBy(Q112).dividedToIntegerBy(denominator);
+
+  return cumulativeLast.plus(fraction.multipliedBy(timeElapsed)).modulo(UINT256);
+}
+
+// `UniswapAnchoredView.fetchAnchorPrice`, including the window update of `pokeWindowValues`, with 6 decimals.
+// `conversionFactor` is 1e18 for ETH, and the ETH anchor price for other tokens.
+export function computeAnchorPrice(config: AnchorConfig, anchorPeriod: number, conversionFactor: BigNumber, now: number): BigNumber {
+  const oldObservation = now - config.newObservation.timestamp >= anchorPeriod ? config.newObservation : config.oldObservation;
+  const timeElapsed = now - oldObservation.timestamp;
+
+  if (timeElapsed <= 0) {
+    throw new Error(`Anchor window starts at ${oldObservation.timestamp}, which is not before ${now}`);
+  }
+
+  // Underflow is a property of the accumulators
+  const priceAverage = config.cumulativePrice.minus(oldObservation.acc).plus(UINT256).modulo(UINT256)
+    .dividedToIntegerBy(timeElapsed)
+    .modulo(UINT224);
+  const rawUniswapPriceMantissa = priceAverage.dividedToIntegerBy(DECODE_112_WITH_18);
+  const unscaledPriceMantissa = rawUniswapPriceMantissa.multipliedBy(conversionFactor);
+
+  if (config.isUniswapReversed) {
+    return unscaledPriceMantissa.dividedToIntegerBy(config.baseUnit);
+  } else {
+    return unscaledPriceMantissa.multipliedBy(config.baseUnit).dividedToIntegerBy(ETH_BASE_UNIT).dividedToIntegerBy(EXP_SCALE);
+  }
+}
+
+// `UniswapAnchoredView.isWithinAnchor`, with both prices in 6 decimals
+export function isWithinAnchor(reporterPrice: BigNumber, anchorPrice: BigNumber, params: ViewAnchorParams): boolean {
+  if (reporterPrice.isGreaterThan(0)) {
+    const anchorRatio = anchorPrice.multipliedBy(EXP_SCALE).dividedToIntegerBy(reporterPrice);
+    return anchorRatio.isLessThanOrEqualTo(params.upperBoundAnchorRatio) && anchorRatio.isGreaterThanOrEqualTo(params.lowerBoundAnchorRatio);
+  }
+  return false;
+}
+
+async function fetchViewAnchorParams(viewAddress: string, web3: Web3): Promise<ViewAnchorParams> {
+  const read = (sig: string, returns: string): BatchedRead => ({address: viewAddress, sig, args: [], returns: [returns]});
+  const [reporter, reporterInvalidated, upper, lower, anchorPeriod] = await readBatch([
+    read('reporter()', 'address'),
+    read('reporterInvalidated()', 'bool'),
+    read('upperBoundAnchorRatio()', 'uint256'),
+    read('lowerBoundAnchorRatio()', 'uint256'),
+    read('anchorPeriod()', 'uint256')
+  ], web3);
+
+  return {
+    reporter: reporter[0],
+    reporterInvalidated: reporterInvalidated[0],
+    upperBoundAnchorRatio: new BigNumber(upper[0]),
+    lowerBoundAnchorRatio: new BigNumber(lower[0]),
+    anchorPeriod: Number(anchorPeriod[0])
+  };
+}
+
+async function fetchAnchorConfigs(symbols: string[], viewAddress: string, now: number, web3: Web3): Promise<AnchorConfig[]> {
+  const symbolHashes = symbols.map((symbol) => web3.utils.soliditySha3({t: 'string', v: symbol}));
+  const viewReads = symbols.flatMap((symbol, i): BatchedRead[] => [
+    {
+      address: viewAddress,
+      sig: 'getTokenConfigBySymbol(string)',
+      args: [symbol],
+      returns: ['address', 'address', 'bytes32', 'uint256', 'uint8', 'uint256', 'address', 'bool']
+    },
+    {address: viewAddress, sig: 'oldObservations(bytes32)', args: [symbolHashes[i]], returns: ['uint256', 'uint256']},
+    {address: viewAddress, sig: 'newObservations(bytes32)', args: [symbolHashes[i]], returns: ['uint256', 'uint256']}
+  ]);
+  const viewResults = await readBatch(viewReads, web3);
+  const configs = symbols.map((_, i) => viewResults.slice(i * 3, i * 3 + 3));
+
+  const pairReads = configs.flatMap(([config]): BatchedRead[] => {
+    const uniswapMarket = config[6];
+    return [
+      {address: uniswapMarket, sig: 'price0CumulativeLast()', args: [], returns: ['uint256']},
+      {address: uniswapMarket, sig: 'price1CumulativeLast()', args: [], returns: ['uint256']},
+      {address: uniswapMarket, sig: 'getReserves()', args: [], returns: ['uint112', 'uint112', 'uint32']}
+    ];
+  });
+  const pairResults = await readBatch(pairReads, web3);
+
+  return configs.map(([config, oldObservation, newObservation], i) => {
+    const [price0, price1, reserves] = pairResults.slice(i * 3, i * 3 + 3);
+    const isUniswapReversed = config[7];
+
+    return {
+      priceSource: Number(config[4]),
+      baseUnit: new BigNumber(config[3]),
+      uniswapMarket: config[6],
+      isUniswapReversed,
+      oldObservation: {timestamp: Number(oldObservation[0]), acc: new BigNumber(oldObservation[1])},
+      newObservation: {timestamp: Number(newObservation[0]), acc: new BigNumber(newObservation[1])},
+      cumulativePrice: currentCumulativePrice(
+        new BigNumber(price0[0]),
+        new BigNumber(price1[0]),
+        new BigNumber(reserves[0]),
+        new BigNumber(reserves[1]),
+        Number(reserves[2]),
+        now,
+        isUniswapReversed
+      )
+    };
+  });
+}
+
+// Checks the prices we are about to post from the view's reporter against the anchor the view will compute
+// for them. Symbols which would be guarded are dropped in `exclude` mode, or only logged in `flag` mode.
+// If the view doesn't look like a `UniswapAnchoredView`, nothing is checked. Guarded symbols are counted under the
+// given metric labels, such as the target's.
+export async function checkAnchors(feedItems: OpenPriceFeedItem[], viewAddress: string, mode: AnchorCheckMode, web3: Web3, labels: Labels = {}): Promise<OpenPriceFeedItem[]> {
+  if (mode === 'off' || feedItems.length === 0) {
+    return feedItems;
+  }
+
+  let params: ViewAnchorParams;
+  let anchorConfigs: {[symbol: string]: AnchorConfig};
+  const now = await latestBlockTimestamp(web3);
+  const symbols = [...new Set(['ETH', ...feedItems.map(({symbol}) => symbol.toUpperCase())])];
+
+  try {
+    params = await fetchViewAnchorParams(viewAddress, web3);
+    const configs = await fetchAnchorConfigs(symbols, viewAddress, now, web3);
+    anchorConfigs = Object.fromEntries(symbols.map((symbol, i) => [symbol, configs[i]]));
+  } catch (e) {
+    console.warn(`Skipping the anchor check, could not read anchors from view ${viewAddress}: ${e.toString()}`);
+    return feedItems;
+  }
+
+  if (params.reporterInvalidated) {
+    // The view ignores reporter prices and stores its anchors
+    return feedItems;
+  }
+
+  const anchorPrices: {[symbol: string]: BigNumber} = {};
+  try {
+    anchorPrices['ETH'] = computeAnchorPrice(anchorConfigs['ETH'], params.anchorPeriod, ETH_BASE_UNIT, now);
+    symbols.filter((symbol) => symbol !== 'ETH').forEach((symbol) => {
+      anchorPrices[symbol] = computeAnchorPrice(anchorConfigs[symbol], params.anchorPeriod, anchorPrices['ETH'], now);
+    });
+  } catch (e) {
+    console.warn(`Skipping the anchor check, could not compute anchors: ${e.toString()}`);
+    return feedItems;
+  }
+
+  const guarded = feedItems.filter(({symbol, source, price}) => {
+    const anchorPrice = anchorPrices[symbol.toUpperCase()];
+    const reporterPrice = new BigNumber(price).multipliedBy(1e6).integerValue();
+
+    if (source.toLowerCase() !== params.reporter.toLowerCase() || anchorConfigs[symbol.toUpperCase()].priceSource !== PRICE_SOURCE_REPORTER) {
+      return false;
+    }
+    if (isWithinAnchor(reporterPrice, anchorPrice, params)) {
+      return false;
+    }
+
+    console.warn(`${symbol} would be guarded by the anchor: reporter=${reporterPrice.dividedBy(1e6).toFixed()}, anchor=${anchorPrice.dividedBy(1e6).toFixed()}${mode === 'exclude' ? ', not posting it' : ''}`);
+    metrics.anchorGuarded.inc({...labels, symbol});
+    return true;
+  }).map(({symbol}) => symbol);
+
+  return mode === 'exclude' ? feedItems.filter(({symbol}) => !guarded.includes(symbol)) : feedItems;
+}
+
+// Recomputes the anchor of each symbol, next to the price the view stores for it now. Symbols the view doesn't
+// price by its reporter can't be posted at all, and are left out.
+export async function fetchKeeperAnchors(symbols: string[], viewAddress: string, web3: Web3): Promise<KeeperAnchor[]> {
+  if (symbols.length === 0) {
+    return [];
+  }
+
+  const now = await latestBlockTimestamp(web3);
+  const allSymbols = [...new Set(['ETH', ...symbols.map((symbol) => symbol.toUpperCase())])];
+  const params = await fetchViewAnchorParams(viewAddress, web3);
+  const configs = await fetchAnchorConfigs(allSymbols, viewAddress, now, web3);
+  const anchorConfigs = Object.fromEntries(allSymbols.map((symbol, i) => [symbol, configs[i]]));
+  const storedPrices = await readBatch(allSymbols.map((symbol): BatchedRead => {
+    return {address: viewAddress, sig: 'prices(bytes32)', args: [web3.utils.soliditySha3({t: 'string', v: symbol})], returns: ['uint256']};
+  }), web3);
+
+  const ethAnchorPrice = computeAnchorPrice(anchorConfigs['ETH'], params.anchorPeriod, ETH_BASE_UNIT, now);
+
+  return allSymbols.filter((symbol) => {
+    if (!symbols.some((s) => s.toUpperCase() === symbol)) {
+      return false;
+    }
+    if (anchorConfigs[symbol].priceSource !== PRICE_SOURCE_REPORTER) {
+      console.warn(`Not keeping the anchor of ${symbol}, the view doesn't price it by its reporter`);
+      return false;
+    }
+
+    return true;
+  }).map((symbol) => {
+    const config = anchorConfigs[symbol];
+
+    return {
+      symbol,
+      anchorPrice: symbol === 'ETH' ? ethAnchorPrice : computeAnchorPrice(config, params.anchorPeriod, ethAnchorPrice, now),
+      storedPrice: new BigNumber(storedPrices[allSymbols.indexOf(symbol)][0]),
+      windowTimestamp: config.newObservation.timestamp
+    };
+  });
+}
+
+// Finds the symbols whose anchor window (`newObservations`) is at least `periods` anchor periods old. The view
+// only moves a window when its symbol is posted, so those of symbols which rarely move past their delta go
+// stale. Symbols the view doesn't price by its reporter can't be posted, and are left out.
+export async function fetchStaleWindows(symbols: string[], viewAddress: string, periods: number, web3: Web3): Promise<string[]> {
+  if (symbols.length === 0) {
+    return [];
+  }
+
+  const now = await latestBlockTimestamp(web3);
+  const upperSymbols = [...new Set(symbols.map((symbol) => symbol.toUpperCase()))];
+  const [anchorPeriod, ...results] = await readBatch([
+    {address: viewAddress, sig: 'anchorPeriod()', args: [], returns: ['uint256']},
+    ...upperSymbols.flatMap((symbol): BatchedRead[] => [
+      {
+        address: viewAddress,
+        sig: 'getTokenConfigBySymbol(string)',
+        args: [symbol],
+        returns: ['address', 'address', 'bytes32', 'uint256', 'uint8', 'uint256', 'address', 'bool']
+      },
+      {address: viewAddress, sig: 'newObservations(bytes32)', args: [web3.utils.soliditySha3({t: 'string', v: symbol})], returns: ['uint256', 'uint256']}
+    ])
+  ], web3);
+  const maxAge = Number(anchorPeriod[0]) * periods;
+
+  return upperSymbols.filter((symbol, i) => {
+    const [config, newObservation] = results.slice(i * 2, i * 2 + 2);
+    const age = now - Number(newObservation[0]);
+
+    if (Number(config[4]) !== PRICE_SOURCE_REPORTER || age < maxAge) {
+      return false;
+    }
+
+    console.log(`Anchor window of ${symbol} is ${age}s old, over ${periods} anchor period(s) of ${anchorPeriod[0]}s`);
+    return true;
+  });
+}
@@ -0,0 +1,109 @@
+import * as fs from 'fs';
+import Web3 from 'web3';
+import { BigNumber } from 'bignumber.js';
+import { TransactionConfig, TransactionReceipt } from 'web3-core';
+
+const DAY = 24 * 60 * 60; // seconds
+
+export class SpendLimitError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SpendLimitError';
+  }
+}
+
+export class InsufficientFundsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+export interface SpendLimits {
+  // The most a single transaction may cost in wei, i.e. its gas limit times its (max) gas price
+  maxTxFee?: string
+  // The most we may spend in wei on posts over any rolling 24 hour window
+  dailyBudget?: string
+}
+
+interface Spend {
+  timestamp: number
+  wei: string
+}
+
+// The worst-case cost of a transaction, before it is sent
+export function maxTransactionFee(transaction: TransactionConfig): BigNumber {
+  const price = transaction.maxFeePerGas !== undefined ? transaction.maxFeePerGas : transaction.gasPrice;
+
+  return new BigNumber(Number(transaction.gas)).multipliedBy(new BigNumber(String(price)));
+}
+
+// Refuses a transaction the account can't afford at its worst-case cost, rather than letting it fail to send
+export async function checkBalance(transaction: TransactionConfig, address: string, web3: Web3) {
+  const cost = maxTransactionFee(transaction).plus(new BigNumber(String(transaction.value || 0)));
+  const balance = new BigNumber(await web3.eth.getBalance(address));
+
+  if (balance.isLessThan(cost)) {
+    throw new InsufficientFundsError(`Poster account ${address} holds ${balance.toFixed()} wei, but the transaction may cost up to ${cost.toFixed()} wei`);
+  }
+}
+
+// What a mined transaction actually cost us
+export function receiptFee(receipt: TransactionReceipt, transaction: TransactionConfig): BigNumber {
+  const receiptPrice = (<any>receipt).effectiveGasPrice;
+  const price = receiptPrice !== undefined ? receiptPrice : maxTransactionFee(transaction).dividedBy(Number(transaction.gas));
+
+  return new BigNumber(receipt.gasUsed).multipliedBy(new BigNumber(String(price)));
+}
+
+// Tracks what the poster spends on gas, from the receipts of its own posts, and refuses transactions
+// which would exceed the per-transaction or rolling daily limits. Spends can be kept in a file so that
+// the budget also holds across one-shot runs.
+export class SpendTracker {
+  limits: SpendLimits
+  file: string | undefined
+  spends: Spend[]
+
+  constructor(limits: SpendLimits, file?: string) {
+    this.limits = limits;
+    this.file = file;
+    this.spends = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  }
+
+  spentToday(now: number = Date.now() / 1000): BigNumber {
+    return this.spends
+      .filter(({timestamp}) => timestamp > now - DAY)
+      .reduce((total, {wei}) => total.plus(wei), new BigNumber(0));
+  }
+
+  check(transaction: TransactionConfig, now: number = Date.now() / 1000) {
+    const fee = maxTransactionFee(transaction);
+
+    if (this.limits.maxTxFee !== undefined && fee.isGreaterThan(this.limits.maxTxFee)) {
+      throw new SpendLimitError(`Transaction may cost up to ${fee.toFixed()} wei, which exceeds the max fee per transaction of ${this.limits.maxTxFee} wei`);
+    }
+
+    if (this.limits.dailyBudget !== undefined) {
+      const spent = this.spentToday(now);
+
+      if (spent.plus(fee).isGreaterThan(this.limits.dailyBudget)) {
+        throw new SpendLimitError(`Transaction may cost up to ${fee.toFixed()} wei, which with ${spent.toFixed()} wei spent in the last 24 hours exceeds the daily budget of ${this.limits.dailyBudget} wei`);
+      }
+    }
+  }
+
+  record(receipt: TransactionReceipt, transaction: TransactionConfig, now: number = Date.now() / 1000) {
+    const fee = receiptFee(receipt, transaction);
+
+    console.log(`Post ${receipt.transactionHash} cost ${fee.toFixed()} wei`);
+
+    this.spends = [
+      ...this.spends.filter(({timestamp}) => timestamp > now - DAY),
+      {timestamp: now, wei: fee.toFixed()}
+    ];
+
+    if (this.file) {
+      fs.writeFileSync(this.file, JSON.stringify(this.spends));
+    }
+  }
+}
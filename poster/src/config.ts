@@ -0,0 +1,246 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import yaml from 'js-yaml';
+import { GAS_PRICE_STRATEGIES } from './gas_price';
+import { NETWORK_PROFILES } from './network';
+
+// The types a config file value may take. Keys match the long names of the command-line options.
+type FieldType =
+  'string' | 'number' | 'boolean' | 'string[]' | 'number-map' | 'string-map' | 'sources' | 'targets' | {choices: string[]};
+
+export const CONFIG_SCHEMA: {[key: string]: FieldType} = {
+  'sources': 'sources',
+  'source-adapter': 'string[]',
+  'source-timeout': 'number',
+  'source-retries': 'number',
+  'min-sources': 'number',
+  'poster-key': 'string',
+  'poster-keystore': 'string',
+  'poster-keystore-password': 'string',
+  'poster-signer': 'string',
+  'poster-address': 'string',
+  'view-address': 'string',
+  'view-function': 'string',
+  'web3-provider': 'string',
+  'fallback-provider': 'string[]',
+  'provider-timeout': 'number',
+  'network': {choices: Object.keys(NETWORK_PROFILES)},
+  'chain-id': 'number',
+  'confirmations': 'number',
+  'eip155': 'boolean',
+  'timeout': 'number',
+  'gas-limit': 'number',
+  'gas-ceiling': 'number',
+  'gas-price': 'number',
+  'gas-strategy': {choices: GAS_PRICE_STRATEGIES},
+  'gas-price-url': 'string',
+  'gas-price-json-path': 'string',
+  'gas-price-unit': {choices: ['wei', 'gwei']},
+  'min-gas-price': 'number',
+  'max-gas-price': 'number',
+  'max-tx-fee': 'number',
+  'daily-budget': 'number',
+  'spend-file': 'string',
+  'low-balance': 'number',
+  'fee-mode': {choices: ['legacy', 'eip1559']},
+  'fee-percentile': 'number',
+  'asset': 'string[]',
+  'price-deltas': 'number-map',
+  'max-ages': 'number-map',
+  'max-message-age': 'number',
+  'reporter': 'string[]',
+  'testnet-world': 'boolean',
+  'testnet-uniswap-pairs': 'string-map',
+  'mainnet-uniswap-pairs': 'string-map',
+  'anchor-check': {choices: ['exclude', 'flag', 'off']},
+  'window-keeper': 'number',
+  'fail-on-guarded': 'boolean',
+  'dry-run': 'boolean',
+  'metrics-port': 'number',
+  'interval': 'number',
+  'targets': 'targets'
+};
+
+// The options each entry of `targets` may set, overriding the top-level ones for that target
+export const TARGET_KEYS = [
+  'name',
+  'web3-provider',
+  'fallback-provider',
+  'provider-timeout',
+  'network',
+  'chain-id',
+  'confirmations',
+  'eip155',
+  'view-address',
+  'view-function',
+  'poster-key',
+  'poster-keystore',
+  'poster-keystore-password',
+  'poster-signer',
+  'poster-address',
+  'asset',
+  'price-deltas',
+  'max-ages',
+  'max-message-age',
+  'reporter',
+  'timeout',
+  'gas-limit',
+  'gas-ceiling',
+  'gas-price',
+  'gas-strategy',
+  'gas-price-url',
+  'gas-price-json-path',
+  'gas-price-unit',
+  'min-gas-price',
+  'max-gas-price',
+  'fee-mode',
+  'fee-percentile',
+  'max-tx-fee',
+  'daily-budget',
+  'spend-file',
+  'low-balance',
+  'testnet-world',
+  'testnet-uniswap-pairs',
+  'mainnet-uniswap-pairs',
+  'anchor-check',
+  'window-keeper'
+];
+
+const TARGET_SCHEMA: {[key: string]: FieldType} = Object.fromEntries(
+  TARGET_KEYS.map((key): [string, FieldType] => [key, key === 'name' ? 'string' : CONFIG_SCHEMA[key]])
+);
+
+function describe(value: any): string {
+  return JSON.stringify(value);
+}
+
+function validateField(key: string, type: FieldType, value: any): string[] {
+  if (typeof type === 'object') {
+    return type.choices.includes(value) ? [] : [`\`${key}\` must be one of ${type.choices.join(', ')}, got ${describe(value)}`];
+  }
+
+  switch (type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      return typeof value === type ? [] : [`\`${key}\` must be a ${type}, got ${describe(value)}`];
+
+    case 'string[]':
+      if (!Array.isArray(value)) {
+        return [`\`${key}\` must be a list of strings, got ${describe(value)}`];
+      }
+      return value.flatMap((item, i) => typeof item === 'string' ? [] : [`\`${key}[${i}]\` must be a string, got ${describe(item)}`]);
+
+    case 'number-map':
+    case 'string-map': {
+      const valueType = type === 'number-map' ? 'number' : 'string';
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [`\`${key}\` must be a map of symbol to ${valueType}, got ${describe(value)}`];
+      }
+      return Object.entries(value).flatMap(([symbol, v]) => typeof v === valueType ? [] : [`\`${key}.${symbol}\` must be a ${valueType}, got ${describe(v)}`]);
+    }
+
+    case 'sources': {
+      const sources = Array.isArray(value) ? value : [value];
+      return sources.flatMap((source, i) => {
+        if (typeof source === 'string') {
+          return [];
+        }
+        if (typeof source === 'object' && source !== null && typeof source['source'] === 'string') {
+          return [];
+        }
+        return [`\`${key}[${i}]\` must be a URL or an object with a \`source\` field, got ${describe(source)}`];
+      });
+    }
+
+    case 'targets':
+      if (!Array.isArray(value)) {
+        return [`\`${key}\` must be a list of targets, got ${describe(value)}`];
+      }
+      return value.flatMap((target, i) => {
+        if (typeof target !== 'object' || target === null || Array.isArray(target)) {
+          return [`\`${key}[${i}]\` must be a map of options, got ${describe(target)}`];
+        }
+        return validateFields(target, TARGET_SCHEMA, `${key}[${i}].`);
+      });
+  }
+}
+
+// Suggests the closest known key for a typo, by edit distance
+function closestKey(key: string, schema: {[key: string]: FieldType}): string | undefined {
+  function distance(a: string, b: string): number {
+    const row = Array.from({length: b.length + 1}, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  const [best] = Object.keys(schema)
+    .map((known): [string, number] => [known, distance(key, known)])
+    .sort(([, a], [, b]) => a - b);
+
+  return best && best[1] <= 3 ? best[0] : undefined;
+}
+
+function validateFields(config: object, schema: {[key: string]: FieldType}, prefix: string = ''): string[] {
+  return Object.entries(config).flatMap(([key, value]) => {
+    const type = schema[key];
+
+    if (type === undefined) {
+      const suggestion = closestKey(key, schema);
+      return [`Unknown key \`${prefix}${key}\`${suggestion ? `, did you mean \`${prefix}${suggestion}\`?` : ''}`];
+    }
+
+    return validateField(`${prefix}${key}`, type, value);
+  });
+}
+
+export function validateConfig(config: object): string[] {
+  return validateFields(config, CONFIG_SCHEMA);
+}
+
+// Reads a YAML (`.yaml`/`.yml`) or JSON config file, and throws listing every invalid entry
+export function loadConfigFile(file: string): object {
+  const contents = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const config = ext === '.yaml' || ext === '.yml' ? yaml.safeLoad(contents) : JSON.parse(contents);
+
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${file}: expected a map of options`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file ${file}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+
+  return config;
+}
+
+// Options which hold structured values may come as JSON strings from the command line or env,
+// or as already-parsed values from a config file
+export function parseJsonOption(value: any): any {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+const SIGNER_OPTIONS = ['poster-key', 'poster-keystore', 'poster-keystore-password', 'poster-signer', 'poster-address'];
+// The fallbacks and network settings of one endpoint, which don't carry over to a target's own `web3-provider`
+const PROVIDER_OPTIONS = ['web3-provider', 'fallback-provider', 'network', 'chain-id', 'confirmations', 'eip155'];
+
+// A target's options override the top-level ones. A target with its own signer doesn't inherit any other kind,
+// and a target with its own web3-provider doesn't inherit the network settings of the top-level one.
+export function targetOptions(parsed: object, target: object): object {
+  const ownSigner = SIGNER_OPTIONS.some((option) => target[option] !== undefined);
+  const ownProvider = target['web3-provider'] !== undefined;
+  const dropped = [...(ownSigner ? SIGNER_OPTIONS : []), ...(ownProvider ? PROVIDER_OPTIONS : [])];
+  const inherited = Object.fromEntries(Object.entries(parsed).filter(([option]) => !dropped.includes(option)));
+
+  return {...inherited, ...target};
+}
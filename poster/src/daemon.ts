@@ -0,0 +1,39 @@
+export interface Daemon {
+  // Stops scheduling new cycles and resolves once the in-flight cycle (if any) settles
+  stop: () => Promise<void>
+}
+
+// Runs `cycle` immediately and then every `interval` ms. A tick that fires while the
+// previous cycle is still pending (e.g. a post waiting on confirmations) is skipped
+// rather than queued, so we never have two posts racing each other.
+export function startDaemon(cycle: () => Promise<void>, interval: number): Daemon {
+  let pending: Promise<void> | undefined;
+
+  function tick() {
+    if (pending) {
+      console.warn(`Previous poster cycle still pending, skipping tick`);
+      return;
+    }
+
+    pending = cycle()
+      .catch((e) => {
+        console.error(`Poster cycle failed: ${e}`);
+      })
+      .finally(() => {
+        pending = undefined;
+      });
+  }
+
+  const timer = setInterval(tick, interval);
+  tick();
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+
+      if (pending) {
+        await pending;
+      }
+    }
+  };
+}
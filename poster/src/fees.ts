@@ -0,0 +1,60 @@
+import Web3 from 'web3';
+import { TransactionConfig } from 'web3-core';
+
+export type FeeMode = 'legacy' | 'eip1559';
+
+export interface LegacyFees {
+  gasPrice: number
+}
+
+export interface Eip1559Fees {
+  maxFeePerGas: number
+  maxPriorityFeePerGas: number
+}
+
+export type TransactionFees = LegacyFees | Eip1559Fees;
+
+const FEE_HISTORY_BLOCKS = 10;
+const DEFAULT_FEE_PERCENTILE = 50;
+const BASE_FEE_MULTIPLIER = 2; // Leaves room for the base fee to rise for several full blocks before we're priced out
+const REPLACEMENT_FEE_BUMP = 10; // Minimum % increase geth and openethereum require to replace a pending transaction
+
+// Reads the last few blocks' fee history: the base fee of the next block, and the mean of the
+// requested reward percentile as a priority fee
+export async function fetchFeeHistory(web3: Web3, percentile: number = DEFAULT_FEE_PERCENTILE): Promise<{nextBaseFee: number, priorityFee: number}> {
+  const {baseFeePerGas, reward} = await web3.eth.getFeeHistory(FEE_HISTORY_BLOCKS, 'latest', [percentile]);
+
+  // `baseFeePerGas` includes the base fee of the next (pending) block as its last entry
+  const nextBaseFee = Number(baseFeePerGas[baseFeePerGas.length - 1]);
+  const tips = reward.map(([tip]) => Number(tip));
+  const priorityFee = tips.length > 0 ? Math.ceil(tips.reduce((a, b) => a + b, 0) / tips.length) : 0;
+
+  return {nextBaseFee, priorityFee};
+}
+
+// Computes type-2 fees from the fee history: the max fee covers a multiple of the next block's base fee plus the tip
+export async function fetchEip1559Fees(web3: Web3, percentile: number = DEFAULT_FEE_PERCENTILE): Promise<Eip1559Fees> {
+  const {nextBaseFee, priorityFee: maxPriorityFeePerGas} = await fetchFeeHistory(web3, percentile);
+
+  return {
+    maxFeePerGas: nextBaseFee * BASE_FEE_MULTIPLIER + maxPriorityFeePerGas,
+    maxPriorityFeePerGas
+  };
+}
+
+export function isEip1559(transaction: TransactionConfig): boolean {
+  return transaction.maxFeePerGas !== undefined;
+}
+
+// Bumps both type-2 fee fields by the minimum nodes accept for a same-nonce replacement
+export function bumpEip1559Fees(transaction: TransactionConfig): Eip1559Fees {
+  return {
+    maxFeePerGas: minReplacementFee(Number(transaction.maxFeePerGas)),
+    maxPriorityFeePerGas: minReplacementFee(Number(transaction.maxPriorityFeePerGas))
+  };
+}
+
+function minReplacementFee(fee: number): number {
+  // Always move by at least 1 wei, so a zero tip still changes
+  return Math.max(Math.ceil(fee * (100 + REPLACEMENT_FEE_BUMP) / 100), fee + 1);
+}
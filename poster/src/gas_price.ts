@@ -0,0 +1,118 @@
+import Web3 from 'web3';
+import fetch from 'node-fetch';
+import { fetchFeeHistory } from './fees';
+import { readJsonPath } from './util';
+
+export interface GasPriceStrategy {
+  name: string
+  // Returns a legacy gas price in wei
+  fetch: (web3: Web3) => Promise<number>
+}
+
+export interface GasPriceCaps {
+  floor?: number
+  ceiling?: number
+}
+
+export interface GasPriceConfig {
+  strategy: string
+  // `static`: the gas price in wei
+  gasPrice?: number
+  // `fee-history`: the reward percentile of recent blocks to add to the next base fee
+  percentile?: number
+  // `http`: an endpoint returning JSON, and the dot-separated path of the price within it, e.g. `average.value`
+  url?: string
+  jsonPath?: string
+  // `http`: the unit the endpoint reports prices in
+  unit?: 'wei' | 'gwei'
+}
+
+export const GAS_PRICE_STRATEGIES = ['node', 'fee-history', 'static', 'http'];
+
+const GWEI = 1e9;
+
+// Asks the node for its own gas price suggestion
+export function nodeGasPrice(): GasPriceStrategy {
+  return {
+    name: 'node',
+    fetch: async (web3) => Number(await web3.eth.getGasPrice())
+  };
+}
+
+// Prices from recent blocks: the next base fee plus a percentile of the tips paid
+export function feeHistoryGasPrice(percentile?: number): GasPriceStrategy {
+  return {
+    name: 'fee-history',
+    fetch: async (web3) => {
+      const {nextBaseFee, priorityFee} = await fetchFeeHistory(web3, percentile);
+
+      return nextBaseFee + priorityFee;
+    }
+  };
+}
+
+export function staticGasPrice(gasPrice: number): GasPriceStrategy {
+  return {
+    name: 'static',
+    fetch: async (_web3) => gasPrice
+  };
+}
+
+export function httpGasPrice(url: string, jsonPath: string, unit: 'wei' | 'gwei' = 'wei', fetchFn = fetch): GasPriceStrategy {
+  return {
+    name: 'http',
+    fetch: async (_web3) => {
+      const response = await fetchFn(url);
+      const json = await response.json();
+      const value = Number(readJsonPath(json, jsonPath));
+
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid gas price at \`${jsonPath}\` from ${url}: got \`${JSON.stringify(json)}\``);
+      }
+
+      return Math.floor(unit === 'gwei' ? value * GWEI : value);
+    }
+  };
+}
+
+export function capGasPrice(gasPrice: number, caps: GasPriceCaps): number {
+  if (caps.floor !== undefined && gasPrice < caps.floor) {
+    console.warn(`Gas price ${gasPrice} is below the floor, using ${caps.floor}`);
+    return caps.floor;
+  }
+
+  if (caps.ceiling !== undefined && gasPrice > caps.ceiling) {
+    console.warn(`Gas price ${gasPrice} is above the ceiling, using ${caps.ceiling}`);
+    return caps.ceiling;
+  }
+
+  return gasPrice;
+}
+
+export function withCaps(strategy: GasPriceStrategy, caps: GasPriceCaps): GasPriceStrategy {
+  return {
+    name: strategy.name,
+    fetch: async (web3) => capGasPrice(await strategy.fetch(web3), caps)
+  };
+}
+
+export function buildGasPriceStrategy(config: GasPriceConfig, fetchFn = fetch): GasPriceStrategy {
+  switch (config.strategy) {
+    case 'node':
+      return nodeGasPrice();
+    case 'fee-history':
+      return feeHistoryGasPrice(config.percentile);
+    case 'static':
+      if (!config.gasPrice) {
+        throw new TypeError(`The static gas price strategy requires a gas price`);
+      }
+      return staticGasPrice(config.gasPrice);
+    case 'http':
+      if (!config.url || !config.jsonPath) {
+        throw new TypeError(`The http gas price strategy requires both a url and a json path`);
+      }
+      return httpGasPrice(config.url, config.jsonPath, config.unit, fetchFn);
+    default:
+      throw new TypeError(`Unknown gas price strategy \`${config.strategy}\`, expected one of ${GAS_PRICE_STRATEGIES.join(', ')}`);
+  }
+}
@@ -1,110 +1,224 @@
 #! /usr/bin/env node
-import { main } from './poster';
+import { FetchOptions, PosterRun, mainTargets, targetLabel } from './poster';
+import { startDaemon } from './daemon';
+import { GAS_PRICE_STRATEGIES } from './gas_price';
+import { metrics, startMetricsServer } from './metrics';
+import { loadConfigFile, parseJsonOption, targetOptions } from './config';
+import { registerSourceAdapterModule } from './sources/registry';
+import { buildTarget, cancelStuckNonce, checkTargetSpends } from './target';
+import { DEFAULT_WEB3_PROVIDER, NETWORK_PROFILES } from './network';
 import Web3 from 'web3';
 import yargs from 'yargs';
 
 async function run() {
   const parsed = yargs
     .env('POSTER')
+    .config('config', 'Path to a YAML or JSON file of options keyed by their long names, overridden by env vars and command-line args', (file) => {
+      try {
+        return loadConfigFile(file);
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+    })
     .option('sources', {alias: 's', description: 'Sources to pull price messages from, a list of https endpoints created by open oracle reporters serving open oracle payloads as json', type: 'string'})
+    .option('source-adapter', {description: 'Paths of modules exporting custom source adapters to register, see README', type: 'array', default: []})
+    .option('source-timeout', {description: 'Seconds to wait for each attempt at fetching a source', type: 'number', default: 10})
+    .option('source-retries', {description: 'How many more times to try a source which failed or timed out, with exponential backoff', type: 'number', default: 2})
+    .option('min-sources', {description: 'Fail the run unless at least this many sources could be fetched, otherwise post with the sources which succeeded', type: 'number', default: 1})
     .option('poster-key', {alias: 'k', description: 'Private key holding enough gas to post (try: `file:<file> or env:<env>)`', type: 'string'})
+    .option('poster-keystore', {description: 'Encrypted JSON keystore holding the poster key, instead of `poster-key`', type: 'string'})
+    .option('poster-keystore-password', {description: 'Password of the keystore (try: env POSTER_POSTER_KEYSTORE_PASSWORD)', type: 'string'})
+    .option('poster-signer', {description: 'URL of a remote JSON-RPC signer supporting `eth_signTransaction` (e.g. Clef), instead of `poster-key`', type: 'string'})
+    .option('poster-address', {description: 'Account of the remote signer to post from, defaults to its first account', type: 'string'})
     .option('view-address', {alias: 'v', description: 'Address of open oracle view to post through', type: 'string'})
     .option('view-function', {alias: 'f', description: 'Function signature for the view', type: 'string', default: 'postPrices(bytes[],bytes[],string[])'})
-    .option('web3-provider', {description: 'Web 3 provider', type: 'string', default: 'http://127.0.0.1:8545'})
-    .option('timeout', {alias: 't', description: 'how many seconds to wait before retrying with more gas', type: 'number', default: 180})
+    .option('web3-provider', {description: 'Web 3 provider', type: 'string', default: DEFAULT_WEB3_PROVIDER})
+    .option('fallback-provider', {description: 'Web3 providers to fail over to, in order, when `web3-provider` times out or errors. Pass multiple times for multiple fallbacks.', type: 'array'})
+    .option('provider-timeout', {description: 'Seconds to wait for each request to a provider before failing over, when there are fallback providers', type: 'number', default: 30})
+    .option('network', {description: 'Network profile setting the chain id, confirmations, polling timeout, gas defaults and EIP-155, see README', choices: Object.keys(NETWORK_PROFILES)})
+    .option('chain-id', {description: 'Chain id the provider must be on, overriding the network profile', type: 'number'})
+    .option('confirmations', {description: 'Blocks to wait for before a post counts as mined, overriding the network profile', type: 'number'})
+    .option('eip155', {description: 'Sign with EIP-155 replay protection, overriding the network profile (`--no-eip155` to turn it off)', type: 'boolean'})
+    .option('timeout', {alias: 't', description: 'how many seconds to wait before retrying with more gas, defaults to the network profile\'s polling timeout', type: 'number'})
     .option('gas-limit', {alias: 'g', description: 'how much gas to send', type: 'number', default: 4000000})
+    .option('gas-ceiling', {description: 'The most gas a single post may use including its safety margin, larger posts are split into several transactions (defaults to --gas-limit)', type: 'number'})
     .option('gas-price', {alias: 'gp', description: 'gas price', type: 'number'})
+    .option('gas-strategy', {description: 'How to price legacy transactions, defaults to `static` if --gas-price is given and `node` otherwise', choices: GAS_PRICE_STRATEGIES})
+    .option('gas-price-url', {description: 'Endpoint returning JSON for the `http` gas price strategy', type: 'string'})
+    .option('gas-price-json-path', {description: 'Dot-separated path of the gas price in the JSON from --gas-price-url, e.g. `average.value`', type: 'string'})
+    .option('gas-price-unit', {description: 'Unit of the gas price returned from --gas-price-url', choices: ['wei', 'gwei'], default: 'wei'})
+    .option('min-gas-price', {description: 'Floor for the gas price (or EIP-1559 max fee) in wei, whichever strategy is used', type: 'number'})
+    .option('max-gas-price', {description: 'Ceiling for the gas price (or EIP-1559 max fee) in wei, whichever strategy is used', type: 'number'})
+    .option('max-tx-fee', {description: 'The most a single post may cost in ETH (gas limit times gas price), posts which could cost more are skipped', type: 'number'})
+    .option('daily-budget', {description: 'The most the poster may spend in ETH over any rolling 24 hours, posts which could exceed it are skipped', type: 'number'})
+    .option('low-balance', {description: 'Warn in the health log and metrics once the poster account holds less than this many ETH', type: 'number'})
+    .option('spend-file', {description: 'File to record spends in, so the daily budget holds across runs', type: 'string'})
+    .option('fee-mode', {description: 'Post legacy gas price transactions, or EIP-1559 (type 2) transactions priced from eth_feeHistory', choices: ['legacy', 'eip1559']})
+    .option('fee-percentile', {description: 'Reward percentile of recent blocks to use as the EIP-1559 priority fee', type: 'number', default: 50})
     .option('asset', {alias: 'a', description: 'A list of supported token names for posting prices', type: 'array', default: ['BTC', 'ETH', 'DAI', 'REP', 'ZRX', 'BAT', 'KNC', 'LINK', 'COMP']})
     .option('price-deltas', {alias: 'd', description: 'the min required difference between new and previous asset price for the update on blockchain', type: 'string'})
+    .option('max-ages', {alias: 'm', description: 'the max age in seconds of the on-chain price per asset, after which it is posted even within its price delta', type: 'string', default: '{}'})
+    .option('max-message-age', {description: 'Max age in seconds of a reporter message, older messages are never posted', type: 'number'})
+    .option('reporter', {alias: 'r', description: 'A list of expected reporter addresses, messages signed by any other key are dropped (accepts all if unset)', type: 'array', default: []})
     .option('testnet-world', {alias: 'tw', description: 'An option to use mocked uniswap token pairs with data from mainnet', type: 'boolean', default: false})
     .option('testnet-uniswap-pairs', {alias: 'tup', description: 'A list of uniswap testnet pairs for all assets', type: 'string'})
     .option('mainnet-uniswap-pairs', {alias: 'mup', description: 'A list of uniswap mainnet pairs for all assets', type: 'string'})
+    .option('anchor-check', {description: 'Recompute the view\'s Uniswap anchors before posting, and leave out (`exclude`) or only warn about (`flag`) prices it would guard', choices: ['exclude', 'flag', 'off'], default: 'exclude'})
+    .option('window-keeper', {description: 'Also post, without a message, each asset whose Uniswap anchor window is at least this many anchor periods old', type: 'number'})
+    .option('fail-on-guarded', {description: 'Mark the run unhealthy if the view refused any posted price for being too far from its anchor', type: 'boolean', default: false})
+    .option('dry-run', {description: 'Fetch, filter and estimate the post, printing what would be posted, but never sign or send', type: 'boolean', default: false})
+    .option('cancel-nonce', {description: 'Instead of posting, cancel a stuck post by replacing this nonce with a zero-value transfer to the poster account', type: 'number'})
+    .option('metrics-port', {description: 'Serve Prometheus metrics on this port at /metrics, most useful with --interval', type: 'number'})
+    .option('targets', {description: 'JSON list of targets to post the same payloads to, each with its own `web3-provider`, `view-address`, `poster-key`, `asset`, `price-deltas` and so on (usually given in a config file)', type: 'string'})
+    .option('interval', {alias: 'i', description: 'Run as a long-lived daemon, posting every this many seconds (runs once and exits if unset)', type: 'number'})
 
     .help()
     .alias('help', 'h')
-    .demandOption(['poster-key', 'sources', 'view-function', 'web3-provider', 'view-address', 'price-deltas'], 'Provide all the arguments')
+    .demandOption(['view-function', 'web3-provider'], 'Provide all the arguments')
     .argv;
 
-  const sources = Array.isArray(parsed['sources']) ? parsed['sources'] : [ parsed['sources'] ];
-  const poster_key = parsed['poster-key'];
-  const view_address = parsed['view-address'];
-  const view_function = parsed['view-function'];
-  const web3_provider = parsed['web3-provider'];
-  const timeout = parsed['timeout'];
-  const gas_limit = parsed['gas-limit'];
-  const gas_price = parsed['gas-price'];
-  const price_deltas = JSON.parse(parsed['price-deltas']);
-  const assets = <string[]>parsed['asset'];
-
-  // check that price deltas are set up for all assets
-  assets.forEach(asset => {
-    if (price_deltas[asset] == undefined) {
-      throw new TypeError(`For each asset price delta should be provided, ${asset} asset is not properly configured`)
+  // a cancel only needs the provider, network, signer and fee options, not sources or a view to post to
+  const cancel_nonce = parsed['cancel-nonce'];
+  if (cancel_nonce !== undefined) {
+    if (parsed['targets']) {
+      throw new TypeError(`--cancel-nonce cancels a nonce of a single poster account, and can't be used with targets`);
     }
-  });
 
-  console.log(`Posting with price deltas = `, price_deltas);
-
-  // parameters only for testnets that mock uniswap mainnet
-  const mocked_world = parsed['testnet-world'];
-  const testnet_pairs = JSON.parse(parsed['testnet-uniswap-pairs'] || '{}');
-  const mainnet_pairs = JSON.parse(parsed['mainnet-uniswap-pairs'] || '{}');
-  console.log(`Configuring using testnet and mainnet uniswap pairs:`, testnet_pairs, mainnet_pairs);
-  const pairs = {testnet: {}, mainnet: {}};
-  if (mocked_world) {
-    assets.forEach(asset => {
-      if (!testnet_pairs[asset] || !mainnet_pairs[asset]) {
-        throw new TypeError(`For each asset mainnet and testnet pairs should be provided, ${asset} asset is not properly configured`)
-      }
-      pairs['testnet'][asset] = testnet_pairs[asset];
-      pairs['mainnet'][asset] = mainnet_pairs[asset];
-    });
+    await cancelStuckNonce(parsed, cancel_nonce);
+    process.exit(0);
   }
 
-  // posting promise will reject and retry once with higher gas after this timeout
-  const web3 = await new Web3(web3_provider);
-  web3.eth.transactionPollingTimeout = timeout;
-
-  // TODO: We should probably just have a `network` var here, or
-  //       pass this in as an option.
-  if (web3_provider.match(/.*:8545$/)) {
-    // confirm immediately in dev
-    web3.eth.transactionConfirmationBlocks = 1
-  } else {
-    web3.eth.transactionConfirmationBlocks = 10;
+  if (parsed['sources'] === undefined) {
+    throw new TypeError('Missing required argument: sources');
   }
 
-  await main(sources, poster_key, view_address, view_function, gas_limit, gas_price, price_deltas, assets, mocked_world, pairs, web3);
+  (<string[]>parsed['source-adapter']).forEach(registerSourceAdapterModule);
 
-  let success_log = {
-    message: "Price Feed Poster run completed successfully",
-    metric_name: 'PriceFeed-PosterHealth',
-    labels: {
-      price_feed_poster_healthy: 1
+  // sources from a config file may be objects, which are passed on as JSON like on the command line
+  const sources = (<any[]>(Array.isArray(parsed['sources']) ? parsed['sources'] : [ parsed['sources'] ]))
+    .map((source) => typeof source === 'string' ? source : JSON.stringify(source));
+  const interval = parsed['interval'];
+  const fail_on_guarded = parsed['fail-on-guarded'];
+  const metrics_port = parsed['metrics-port'];
+  const fetch_options: FetchOptions = {
+    sourceTimeout: parsed['source-timeout'],
+    sourceRetries: parsed['source-retries'],
+    minSources: parsed['min-sources']
+  };
+
+  // each target may override the per-target options, and otherwise shares the top-level ones
+  const target_list = parsed['targets'] ? <object[]>parseJsonOption(parsed['targets']) : undefined;
+  if (target_list) {
+    checkTargetSpends(parsed, target_list);
+  }
+  const targets = target_list ?
+    await Promise.all(target_list.map((target) => buildTarget(targetOptions(parsed, target)))) :
+    [await buildTarget(parsed)];
+
+  if (metrics_port) {
+    startMetricsServer(metrics_port);
+  }
+
+  // posts to every target, writing a health log for each, and returns whether they were all healthy
+  const runCycle = async (): Promise<boolean> => {
+    const runs = await mainTargets(sources, targets, fetch_options);
+    let healthy = true;
+
+    for (const {target, run, error} of runs) {
+      const log = run ? runLog(run, fail_on_guarded, target.name) : errorLog(error, target.name);
+      if (!log.labels.price_feed_poster_healthy) {
+        metrics.failures.inc({target: targetLabel(target)});
+        healthy = false;
+      }
+      await writeHealthLog(log);
     }
+
+    return healthy;
   };
 
-  process.stderr.write(JSON.stringify(success_log) + "\n", () => {
+  if (!interval) {
+    const healthy = await runCycle();
+    process.exit(healthy ? 0 : 1);
+  }
+
+  console.log(`Running poster as a daemon every ${interval} seconds`);
+
+  const daemon = startDaemon(async () => {
+    try {
+      await runCycle();
+    } catch (e) {
+      console.error(`Error encountered: ${e}`);
+      console.error(e);
+      // e.g. the sources couldn't be fetched, so no target was posted to
+      targets.forEach((target) => metrics.failures.inc({target: targetLabel(target)}));
+      await writeHealthLog(errorLog(e));
+    }
+  }, interval * 1000);
+
+  const shutdown = async (signal: string) => {
+    console.log(`Received ${signal}, waiting for pending post before shutting down...`);
+    await daemon.stop();
     process.exit(0);
-  });
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
 }
 
-run().catch((e) => {
-  console.error(`Error encountered: ${e}`);
-  console.error(e);
-  console.log(e.stack)
-  console.log
+function runLog({failedSources, outcomes, lowBalance, reporterInvalidated}: PosterRun, failOnGuarded: boolean, target?: string) {
+  const guarded = outcomes.filter(({status}) => status === 'guarded');
+  const healthy = failOnGuarded && guarded.length > 0 ? 0 : 1;
+  let message = "Price Feed Poster run completed successfully";
+  if (reporterInvalidated) {
+    message = "Price Feed Poster view's reporter is invalidated, only keeping its anchor prices";
+  } else if (!healthy) {
+    message = "Price Feed Poster posted prices which were guarded by the anchor";
+  } else if (lowBalance !== undefined) {
+    message = "Price Feed Poster account balance is low";
+  } else if (failedSources.length > 0) {
+    message = "Price Feed Poster run completed with failing sources";
+  }
+
+  return {
+    message,
+    metric_name: 'PriceFeed-PosterHealth',
+    labels: {
+      price_feed_poster_healthy: healthy,
+      ...(target ? {target} : {}),
+      price_feed_poster_failed_sources: failedSources.length,
+      price_feed_poster_low_balance: lowBalance !== undefined ? 1 : 0,
+      price_feed_poster_reporter_invalidated: reporterInvalidated ? 1 : 0,
+      ...(lowBalance !== undefined ? {balance: `${Web3.utils.fromWei(lowBalance)} ETH`} : {}),
+      ...(failedSources.length > 0 ? {failed_sources: failedSources.map(({source, error}) => `${source}: ${error}`).join('; ')} : {}),
+      ...(guarded.length > 0 ? {guarded_symbols: guarded.map(({symbol, reporterPrice, anchorPrice}) => `${symbol}: reporter=${reporterPrice}, anchor=${anchorPrice}`).join('; ')} : {})
+    }
+  };
+}
 
-  let error_log = {
+function errorLog(e, target?: string) {
+  return {
     message: "Price run failed",
     metric_name: 'PriceFeed-PosterHealth',
     labels: {
       price_feed_poster_healthy: 0,
+      ...(target ? {target} : {}),
       error: e.toString()
     }
   };
+}
+
+function writeHealthLog(log: object): Promise<void> {
+  return new Promise((resolve) => {
+    process.stderr.write(JSON.stringify(log) + "\n", () => resolve());
+  });
+}
+
+run().catch(async (e) => {
+  console.error(`Error encountered: ${e}`);
+  console.error(e);
+  console.log(e.stack)
 
-  process.stderr.write(JSON.stringify(error_log) + "\n", () => {
-    process.exit(1);
-  })
+  await writeHealthLog(errorLog(e));
+  process.exit(1);
 });
@@ -37,4 +37,8 @@ interface OpenPriceFeedItem {
   price: number
   source: string
   prev: number
+  // Why this item is being posted: the price moved past its delta, or the stored price is older than its max age
+  reason: PostReason
 };
+
+type PostReason = 'deviation' | 'heartbeat';
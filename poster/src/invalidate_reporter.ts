@@ -0,0 +1,127 @@
+#! /usr/bin/env node
+import * as fs from 'fs';
+import readline from 'readline';
+import Web3 from 'web3';
+import yargs from 'yargs';
+import { buildGasPriceStrategy } from './gas_price';
+import { DEFAULT_WEB3_PROVIDER, NETWORK_PROFILES, checkChainId, configureWeb3, defaultNetwork, getNetworkProfile, networkSigner } from './network';
+import { fetchFees } from './poster';
+import { SignedRotation, checkRotation, invalidateReporter, readViewReporter, signRotation } from './rotation';
+import { loadSigner } from './signer';
+
+// Emergency tooling for a compromised reporter key: signs the reporter's `rotate` message (or takes one
+// signed offline), and submits it to each view through a separate funded key.
+
+function confirm(question: string): Promise<boolean> {
+  if (!process.stdin.isTTY) {
+    throw new Error('Invalidating a reporter needs an interactive terminal to confirm');
+  }
+
+  const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim() === 'invalidate');
+    });
+  });
+}
+
+// A signed rotation as JSON, or the path of a file holding it
+function loadRotation(rotation: string): SignedRotation {
+  return JSON.parse(rotation.trim().startsWith('{') ? rotation : fs.readFileSync(rotation, 'utf8'));
+}
+
+async function run() {
+  const parsed = yargs
+    .env('POSTER')
+    .option('reporter-key', {description: 'Private key of the reporter to invalidate, which signs the `rotate` message', type: 'string'})
+    .option('rotation-target', {description: 'Address encoded in the `rotate` message (the view ignores it)', type: 'string', default: '0x0000000000000000000000000000000000000000'})
+    .option('offline', {description: 'Only sign the `rotate` message, and print it as JSON for submitting later with `--rotation`', type: 'boolean', default: false})
+    .option('rotation', {description: 'A `rotate` message signed with `--offline`, as JSON or the path of a file holding it, instead of `--reporter-key`', type: 'string'})
+    .option('view-address', {alias: 'v', description: 'Views to invalidate the reporter of. Pass multiple times for multiple views.', type: 'array'})
+    .option('web3-provider', {description: 'Web 3 provider', type: 'string', default: DEFAULT_WEB3_PROVIDER})
+    .option('network', {description: 'Network profile, see the poster README', choices: Object.keys(NETWORK_PROFILES)})
+    .option('chain-id', {description: 'Chain id the provider must be on, overriding the network profile', type: 'number'})
+    .option('poster-key', {alias: 'k', description: 'Private key of a funded account to submit with', type: 'string'})
+    .option('poster-keystore', {description: 'Encrypted JSON keystore of the funded account, instead of `poster-key`', type: 'string'})
+    .option('poster-keystore-password', {description: 'Password of the keystore (try: env POSTER_POSTER_KEYSTORE_PASSWORD)', type: 'string'})
+    .option('poster-signer', {description: 'URL of a remote JSON-RPC signer for the funded account, instead of `poster-key`', type: 'string'})
+    .option('poster-address', {description: 'Account of the remote signer to submit from, defaults to its first account', type: 'string'})
+    .option('gas-limit', {alias: 'g', description: 'Gas limit of each invalidation', type: 'number', default: 200000})
+    .option('gas-price', {description: 'A fixed gas price in wei, otherwise the network profile\'s gas strategy is used', type: 'number'})
+    .help()
+    .alias('help', 'h')
+    .argv;
+
+  const web3 = new Web3(parsed['web3-provider']);
+  let rotation: SignedRotation;
+
+  if (parsed['rotation'] !== undefined) {
+    rotation = loadRotation(parsed['rotation']);
+    checkRotation(rotation, web3);
+  } else if (parsed['reporter-key'] !== undefined) {
+    rotation = signRotation(parsed['reporter-key'], web3, parsed['rotation-target']);
+  } else {
+    throw new TypeError('Provide either `--reporter-key` to sign the rotation, or a signed `--rotation`');
+  }
+
+  if (parsed['offline']) {
+    console.log(JSON.stringify(rotation, null, 2));
+    return;
+  }
+
+  const view_addresses = <string[]>(parsed['view-address'] || []);
+  if (view_addresses.length === 0) {
+    throw new TypeError('Provide the views to invalidate the reporter of with `--view-address`');
+  }
+
+  const network_name = parsed['network'] || defaultNetwork(parsed['web3-provider']);
+  const network = getNetworkProfile(network_name, {chainId: parsed['chain-id']});
+  configureWeb3(network, web3);
+  await checkChainId(network_name, network, web3);
+
+  const signer = networkSigner(await loadSigner({
+    key: parsed['poster-key'],
+    keystore: parsed['poster-keystore'],
+    keystorePassword: parsed['poster-keystore-password'],
+    remoteUrl: parsed['poster-signer'],
+    address: parsed['poster-address']
+  }, web3), network);
+
+  const views = await Promise.all(view_addresses.map(async (view) => ({view, ...await readViewReporter(view, web3)})));
+  console.table(views);
+
+  const confirmed = await confirm(
+    `Invalidating reporter ${rotation.signatory} on ${view_addresses.length} view(s) is irreversible, and the views will ` +
+    `only store their Uniswap anchor prices from then on. Submitting from ${signer.address}. Type "invalidate" to continue: `
+  );
+  if (!confirmed) {
+    console.log('Not confirmed, nothing was submitted');
+    process.exit(1);
+  }
+
+  const fees = await fetchFees(parsed['gas-price'], {
+    feeMode: network.feeMode,
+    gasPriceStrategy: buildGasPriceStrategy({strategy: parsed['gas-price'] ? 'static' : network.gasStrategy, gasPrice: parsed['gas-price']})
+  }, web3);
+
+  const failures: string[] = [];
+  for (const view of view_addresses) {
+    try {
+      await invalidateReporter(view, rotation, signer, parsed['gas-limit'], fees, web3);
+    } catch (e) {
+      console.error(`Could not invalidate the reporter of view ${view}: ${e.message}`);
+      failures.push(view);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`The reporter is still valid on ${failures.length} view(s): ${failures.join(', ')}`);
+  }
+  console.log(`Reporter ${rotation.signatory} is invalidated on every view`);
+}
+
+run().then(() => process.exit(0)).catch((e) => {
+  console.error(`Error encountered: ${e.message}`);
+  process.exit(1);
+});
@@ -1,7 +1,9 @@
 
 import Web3 from 'web3';
 import { read, readMany, encode } from './util';
-import { postWithRetries } from './post_with_retries';
+import { PostOptions, postWithRetries } from './post_with_retries';
+import { TransactionFees } from './fees';
+import { Signer } from './signer';
 
 const mainnetWeb3 = new Web3(new Web3.providers.HttpProvider('https://mainnet-eth.compound.finance/'));
 
@@ -41,7 +43,7 @@ function buildTrxData(reserve0, reserve1, blockTimestampLast, price0, price1, fu
   );
 }
 
-async function mockUniswapTokenPair(symbol: string, senderKey: string, pairs, gas: number, gasPrice: number, web3: Web3) {
+async function mockUniswapTokenPair(symbol: string, senderKey: Signer | string, pairs, gas: number, fees: TransactionFees, web3: Web3, options: PostOptions = {}) {
   const testnetPair = pairs.testnet[symbol];
   const mainnetPair = pairs.mainnet[symbol];
   const reserves = await getReserves(mainnetPair);
@@ -60,15 +62,15 @@ async function mockUniswapTokenPair(symbol: string, senderKey: string, pairs, ga
   const trx = {
       data: trxData,
       to: testnetPair,
-      gasPrice: gasPrice,
-      gas: gas
+      gas: gas,
+      ...fees
   };
 
-  return await postWithRetries(trx, senderKey, web3);
+  return await postWithRetries(trx, senderKey, web3, options);
 }
 
-export async function mockUniswapTokenPairs(assets: string[], senderKey: string, pairs, gas: number, gasPrice: number, web3: Web3) {
+export async function mockUniswapTokenPairs(assets: string[], senderKey: Signer | string, pairs, gas: number, fees: TransactionFees, web3: Web3, options: PostOptions = {}) {
   for (const asset of assets) {
-    await mockUniswapTokenPair(asset.toUpperCase(), senderKey, pairs, gas, gasPrice, web3);
+    await mockUniswapTokenPair(asset.toUpperCase(), senderKey, pairs, gas, fees, web3, options);
   }
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+import http from 'http';
+
+export type Labels = {[label: string]: string};
+
+// A minimal Prometheus registry, rendered in the text exposition format
+class Metric {
+  name: string
+  help: string
+  type: 'counter' | 'gauge'
+  values: Map<string, {labels: Labels, value: number}>
+
+  constructor(name: string, help: string, type: 'counter' | 'gauge') {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.values = new Map();
+  }
+
+  get(labels: Labels = {}): number {
+    const entry = this.values.get(labelKey(labels));
+
+    return entry ? entry.value : 0;
+  }
+
+  protected update(labels: Labels, f: (value: number) => number) {
+    this.values.set(labelKey(labels), {labels, value: f(this.get(labels))});
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render(): string {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    this.values.forEach(({labels, value}) => {
+      const rendered = Object.entries(labels).map(([label, v]) => `${label}="${escapeLabel(v)}"`).join(',');
+      lines.push(`${this.name}${rendered ? `{${rendered}}` : ''} ${value}`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name: string, help: string) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels: Labels = {}, by: number = 1) {
+    this.update(labels, (value) => value + by);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name: string, help: string) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels: Labels, value: number) {
+    this.update(labels, (_) => value);
+  }
+}
+
+function labelKey(labels: Labels): string {
+  return JSON.stringify(Object.entries(labels).sort());
+}
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+export const metrics = {
+  posts: new Counter('price_feed_poster_posts_total', 'Posts which were mined successfully'),
+  retries: new Counter('price_feed_poster_retries_total', 'Posts which were retried with more gas or a higher fee'),
+  failures: new Counter('price_feed_poster_failures_total', 'Poster runs which failed'),
+  skippedByDelta: new Counter('price_feed_poster_skipped_by_delta_total', 'Prices not posted because they were within their price delta'),
+  rejectedMessages: new Counter('price_feed_poster_rejected_messages_total', 'Messages dropped because the data contract would not write them, or they were too old'),
+  anchorGuarded: new Counter('price_feed_poster_anchor_guarded_total', 'Prices the view would refuse for being too far from their recomputed anchor'),
+  postOutcomes: new Counter('price_feed_poster_post_outcomes_total', 'What happened to each posted symbol, by `outcome`: stored, guarded, not-written or unknown'),
+  heartbeats: new Counter('price_feed_poster_heartbeat_posts_total', 'Prices posted only because the stored price was older than its max age'),
+  windowPosts: new Counter('price_feed_poster_window_posts_total', 'Symbols posted without a message only to move their stale anchor windows'),
+  lastPostedPrice: new Gauge('price_feed_poster_last_posted_price', 'The last price posted for each symbol'),
+  balance: new Gauge('price_feed_poster_balance_eth', 'The balance of the poster account in ETH'),
+  lowBalance: new Gauge('price_feed_poster_low_balance', '1 while the balance of the poster account is below the low-balance threshold'),
+  reporterInvalidated: new Gauge('price_feed_poster_reporter_invalidated', '1 while the view\'s reporter is invalidated, and the poster only posts symbols to keep its anchor prices moving'),
+  lastGasPrice: new Gauge('price_feed_poster_last_gas_price_wei', 'The gas price (or EIP-1559 max fee) of the last post sent'),
+  sourceFailures: new Counter('price_feed_poster_source_failures_total', 'Fetches from each source which failed after all their retries'),
+  providerErrors: new Counter('price_feed_poster_provider_errors_total', 'Requests which failed on a provider with a timeout, connection error or 5xx, by `provider`'),
+  providerSwitches: new Counter('price_feed_poster_provider_switches_total', 'Switches between providers, by `from` and `to`'),
+  activeProvider: new Gauge('price_feed_poster_active_provider', 'The position in the provider list of the provider in use, 0 being the preferred one'),
+  sourceFetchSeconds: new Gauge('price_feed_poster_source_fetch_seconds', 'How long the last fetch from each source took')
+};
+
+export function renderMetrics(): string {
+  return Object.values(metrics).map((metric) => metric.render()).join('\n') + '\n';
+}
+
+export function startMetricsServer(port: number): http.Server {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/metrics') {
+      res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4'});
+      res.end(renderMetrics());
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Serving poster metrics on port ${port}. Try running "curl http://localhost:${port}/metrics"`);
+  });
+
+  return server;
+}
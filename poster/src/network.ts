@@ -0,0 +1,102 @@
+import Web3 from 'web3';
+import { URL } from 'url';
+import { FeeMode } from './fees';
+import { PRE_EIP155_HARDFORK, Signer } from './signer';
+
+// Per-network defaults for how the poster sends and confirms its posts, selected with `--network`
+
+export interface NetworkProfile {
+  // The chain the provider must be on, checked at startup. `development` and `custom` only check it if given.
+  chainId?: number
+  // Blocks to wait for before a post counts as mined
+  confirmations: number
+  // Seconds to wait for a post to be mined before retrying it with more gas
+  pollingTimeout: number
+  gasStrategy: string
+  feeMode: FeeMode
+  // Sign with the chain id (EIP-155), so that posts can't be replayed on other chains
+  eip155: boolean
+}
+
+const TESTNET: NetworkProfile = {confirmations: 1, pollingTimeout: 180, gasStrategy: 'node', feeMode: 'legacy', eip155: true};
+
+export const NETWORK_PROFILES: {[name: string]: NetworkProfile} = {
+  development: {confirmations: 1, pollingTimeout: 30, gasStrategy: 'node', feeMode: 'legacy', eip155: true},
+  ropsten: {...TESTNET, chainId: 3},
+  rinkeby: {...TESTNET, chainId: 4},
+  goerli: {...TESTNET, chainId: 5},
+  kovan: {...TESTNET, chainId: 42},
+  mainnet: {chainId: 1, confirmations: 10, pollingTimeout: 180, gasStrategy: 'fee-history', feeMode: 'eip1559', eip155: true},
+  custom: {confirmations: 10, pollingTimeout: 180, gasStrategy: 'node', feeMode: 'legacy', eip155: true}
+};
+
+// Where the poster looks for a node when not given `--web3-provider`: a local development chain
+export const DEFAULT_WEB3_PROVIDER = 'http://127.0.0.1:8545';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '0.0.0.0'];
+const DEVELOPMENT_PORT = '8545';
+
+// The profile used without `--network`: `development` for a local provider or one on the usual development
+// port (such as `http://ganache:8545`), which confirms after a single block like an auto-mining chain needs,
+// and `custom` for any other provider
+export function defaultNetwork(web3Provider: string): string {
+  let url: URL;
+  try {
+    url = new URL(web3Provider);
+  } catch (e) {
+    return 'custom';
+  }
+
+  return LOCAL_HOSTS.includes(url.hostname) || url.port === DEVELOPMENT_PORT ? 'development' : 'custom';
+}
+
+export function getNetworkProfile(name: string, overrides: Partial<NetworkProfile> = {}): NetworkProfile {
+  const profile = NETWORK_PROFILES[name];
+  if (profile === undefined) {
+    throw new Error(`Unknown network \`${name}\`, expected one of ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+  }
+
+  const defined = Object.entries(overrides).filter(([, value]) => value !== undefined);
+  const network = {...profile, ...Object.fromEntries(defined)};
+
+  if (!network.eip155 && network.feeMode === 'eip1559') {
+    throw new Error(`Network \`${name}\` can't post EIP-1559 transactions without EIP-155, which they always include`);
+  }
+
+  return network;
+}
+
+export function configureWeb3(network: NetworkProfile, web3: Web3) {
+  web3.eth.transactionConfirmationBlocks = network.confirmations;
+  web3.eth.transactionPollingTimeout = network.pollingTimeout;
+}
+
+// Refuses to post through a provider on the wrong chain, e.g. a mainnet key pointed at a testnet node
+export async function checkChainId(name: string, network: NetworkProfile, web3: Web3) {
+  if (network.chainId === undefined) {
+    return;
+  }
+
+  const chainId = await web3.eth.getChainId();
+  if (chainId !== network.chainId) {
+    throw new Error(`Provider is on chain ${chainId}, but network \`${name}\` expects chain ${network.chainId}`);
+  }
+}
+
+// Signs for the network's chain, with or without replay protection
+export function networkSigner(signer: Signer, network: NetworkProfile): Signer {
+  return {
+    address: signer.address,
+    signTransaction: async (transaction, web3) => {
+      if (network.eip155) {
+        return signer.signTransaction({chainId: network.chainId, ...transaction}, web3);
+      }
+
+      const chainId = network.chainId !== undefined ? network.chainId : await web3.eth.getChainId();
+      return signer.signTransaction({
+        ...transaction,
+        common: {baseChain: 'mainnet', hardfork: PRE_EIP155_HARDFORK, customChain: {chainId, networkId: chainId}}
+      }, web3);
+    }
+  };
+}
@@ -0,0 +1,59 @@
+import Web3 from 'web3';
+
+// Hands out nonces for a single posting account. A reserved nonce stays outstanding until it is
+// released, so that retries rebroadcast with the same nonce (replacing the stuck post) and posts
+// made while another is still pending never race each other for the same nonce.
+export class NonceManager {
+  address: string
+  web3: Web3
+  outstanding: Set<number>
+
+  constructor(address: string, web3: Web3) {
+    this.address = address;
+    this.web3 = web3;
+    this.outstanding = new Set();
+  }
+
+  // The number of mined transactions, and the number including those still in the mempool
+  async counts(): Promise<{latest: number, pending: number}> {
+    const [latest, pending] = await Promise.all([
+      this.web3.eth.getTransactionCount(this.address, 'latest'),
+      this.web3.eth.getTransactionCount(this.address, 'pending')
+    ]);
+
+    return {latest, pending};
+  }
+
+  async reserve(): Promise<number> {
+    const {pending} = await this.counts();
+    const next = this.outstanding.size > 0 ? Math.max(...this.outstanding) + 1 : 0;
+    const nonce = Math.max(pending, next);
+
+    this.outstanding.add(nonce);
+
+    return nonce;
+  }
+
+  release(nonce: number) {
+    this.outstanding.delete(nonce);
+  }
+
+  // A nonce is consumed once a transaction using it has been mined, after which it can no longer be replaced
+  async isConsumed(nonce: number): Promise<boolean> {
+    const {latest} = await this.counts();
+
+    return latest > nonce;
+  }
+}
+
+const managers: {[address: string]: NonceManager} = {};
+
+export function getNonceManager(address: string, web3: Web3): NonceManager {
+  const key = address.toLowerCase();
+
+  if (!managers[key] || managers[key].web3 !== web3) {
+    managers[key] = new NonceManager(address, web3);
+  }
+
+  return managers[key];
+}
@@ -1,19 +1,11 @@
 import Web3 from 'web3';
-import Utils from 'web3-utils';
 import { TransactionConfig, TransactionReceipt } from 'web3-core';
-
-function ensureHex(val: string, type: string): string {
-  if (Utils.isHexStrict(val)) {
-    return val;
-  }
-
-  const val0x = `0x${val}`;
-  if (Utils.isHexStrict(val0x)) {
-    return val0x;
-  }
-
-  throw new Error(`Invalid hex for ${type}: got \`${val}\``);
-}
+import { TransactionFees, bumpEip1559Fees, isEip1559 } from './fees';
+import { GasPriceCaps, capGasPrice } from './gas_price';
+import { getNonceManager } from './nonce_manager';
+import { SpendTracker, checkBalance } from './budget';
+import { Labels, metrics } from './metrics';
+import { Signer, toSigner } from './signer';
 
 function isUnderpriced(e) {
   return e.message === 'Returned error: replacement transaction underpriced';
@@ -29,54 +21,176 @@ function maybeIsOutOfGas(e) {
 
 const SLEEP_DURATION = 3000; // 3s
 const RETRIES = 3;
-const GAS_PRICE_ADJUSTMENT = 1.2; // Increase gas price by this percentage each retry
+const GAS_PRICE_ADJUSTMENT = 1.2; // Increase gas price by this percentage each retry (legacy transactions only)
 const GAS_ADJUSTMENT = 1.5; // Increase gas limit by this percentage each retry
+const CANCEL_GAS = 21000; // A plain transfer
+
+interface PostOptions {
+  retries?: number
+  attempt?: number
+  // Refuses posts over the spending limits, and records what each post cost
+  spendTracker?: SpendTracker
+  // Floor and ceiling which the bumped gas price (or EIP-1559 max fee) of each retry stays within
+  gasPriceCaps?: GasPriceCaps
+  // Labels the metrics of the post with the target it is posted to
+  target?: string
+}
+
+// The gas price, or EIP-1559 max fee, which a replacement has to raise
+function feeOf(transaction: TransactionConfig): number {
+  return Number(isEip1559(transaction) ? transaction.maxFeePerGas : transaction.gasPrice);
+}
+
+// Raises the fees of a transaction for its retry, without going past the gas price caps
+function bumpFees(transaction: TransactionConfig, caps: GasPriceCaps): TransactionFees {
+  if (isEip1559(transaction)) {
+    const {maxFeePerGas, maxPriorityFeePerGas} = bumpEip1559Fees(transaction);
+    const cappedMaxFeePerGas = capGasPrice(maxFeePerGas, caps);
+
+    return {maxFeePerGas: cappedMaxFeePerGas, maxPriorityFeePerGas: Math.min(maxPriorityFeePerGas, cappedMaxFeePerGas)};
+  }
+
+  return {gasPrice: capGasPrice(Math.floor(Number(transaction.gasPrice) * GAS_PRICE_ADJUSTMENT), caps)};
+}
+
+async function postWithRetries(transaction: TransactionConfig, signerKey: Signer | string, web3: Web3, options: PostOptions = {}) {
+  const {retries = RETRIES, attempt = 0, spendTracker, gasPriceCaps = {}, target} = options;
+  const labels: Labels = target !== undefined ? {target} : {};
 
-async function postWithRetries(transaction: TransactionConfig, signerKey: string, web3: Web3, retries: number = RETRIES, attempt: number = 0) {
   console.log(`Running Open Price Feed Poster${attempt > 0 ? ` [attempt ${attempt}]` : ''}...`);
 
-  signerKey = ensureHex(signerKey, 'private key');
+  const signer = toSigner(signerKey, web3);
+  let nonces = getNonceManager(signer.address, web3);
 
-  let pubKey = web3.eth.accounts.privateKeyToAccount(signerKey)
+  // Check every attempt, since each retry raises the fees
+  try {
+    if (spendTracker) {
+      spendTracker.check(transaction);
+    }
+    await checkBalance(transaction, signer.address, web3);
+  } catch (e) {
+    if (transaction.nonce !== undefined) {
+      nonces.release(transaction.nonce);
+    }
+    throw e;
+  }
 
-  console.log(`Posting from account: ${pubKey.address}`);
+  // Keep the nonce across retries, so that a retry replaces a pending post rather than racing it
+  if (transaction.nonce === undefined) {
+    transaction.nonce = await nonces.reserve();
+  }
+  const nonce = transaction.nonce;
 
-  let nonce = await web3.eth.getTransactionCount(pubKey.address)
-  transaction.nonce = nonce
+  console.log(`Posting from account: ${signer.address} with nonce ${nonce}`);
+
+  metrics.lastGasPrice.set(labels, feeOf(transaction));
 
   try {
-    return await signAndSend(transaction, signerKey, web3);
+    const receipt = await signAndSend(transaction, signer, web3);
+    nonces.release(nonce);
+    if (spendTracker) {
+      spendTracker.record(receipt, transaction);
+    }
+    return receipt;
   } catch (e) {
     console.debug({transaction});
     console.warn('Failed to post Open Price Feed:');
     console.warn(e);
 
+    // A reverted post still cost us gas
+    if (spendTracker && e.receipt) {
+      spendTracker.record(e.receipt, transaction);
+    }
+
     // Try more gas and higher gas price, reverse engineering geth/parity errors is error-prone
+    const fee = feeOf(transaction);
     transaction = {
       ...transaction,
       gas: Math.floor(Number(transaction.gas) * GAS_ADJUSTMENT),
-      gasPrice: Math.floor(Number(transaction.gasPrice) * GAS_PRICE_ADJUSTMENT)
+      ...bumpFees(transaction, gasPriceCaps)
     };
 
+    // If the post was mined anyway (e.g. it reverted), its nonce can't be replaced and the retry needs a fresh one
+    if (await nonces.isConsumed(nonce)) {
+      nonces.release(nonce);
+      transaction.nonce = undefined;
+    }
+
+    // Once the fee is at the ceiling, a node rejects the same fee on the same nonce as underpriced, so retrying is futile
+    if (retries > 0 && transaction.nonce !== undefined && feeOf(transaction) <= fee) {
+      nonces.release(nonce);
+      throw new Error(`Failed to run Open Price Feed poster after ${attempt} attempt(s): the fee of nonce ${nonce} is at the gas price ceiling of ${gasPriceCaps.ceiling} wei, and can't be raised to replace it: error=\`${e.toString()}\``);
+    }
+
     if (retries > 0) {
+      metrics.retries.inc(labels);
+
       // Sleep for some time before retrying
       await (new Promise(okay => setTimeout(okay, SLEEP_DURATION)));
 
-      return postWithRetries(transaction, signerKey, web3, retries - 1, attempt + 1);
+      return postWithRetries(transaction, signer, web3, {...options, retries: retries - 1, attempt: attempt + 1});
     } else {
+      nonces.release(nonce);
       throw new Error(`Failed to run Open Price Feed poster after ${attempt} attempt(s): error=\`${e.toString()}\``);
     }
   }
 }
 
-async function signAndSend(transaction: TransactionConfig, signerKey: string, web3: Web3): Promise<TransactionReceipt> {
+// Cancels a stuck post by replacing its nonce with a zero-value transfer to ourselves
+async function cancelNonce(nonce: number, fees: TransactionFees, signerKey: Signer | string, web3: Web3, gasPriceCaps: GasPriceCaps = {}, retries: number = RETRIES): Promise<TransactionReceipt | undefined> {
+  const signer = toSigner(signerKey, web3);
+  let nonces = getNonceManager(signer.address, web3);
+  let transaction = <TransactionConfig>{
+    to: signer.address,
+    value: 0,
+    gas: CANCEL_GAS,
+    nonce,
+    ...fees
+  };
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (await nonces.isConsumed(nonce)) {
+      console.log(`Nonce ${nonce} for ${signer.address} has already been mined, nothing to cancel`);
+      return undefined;
+    }
+
+    console.log(`Cancelling nonce ${nonce} for ${signer.address}${attempt > 0 ? ` [attempt ${attempt}]` : ''}...`);
+
+    try {
+      return await signAndSend(transaction, signer, web3);
+    } catch (e) {
+      console.warn(`Failed to cancel nonce ${nonce}:`);
+      console.warn(e);
+
+      transaction = {
+        ...transaction,
+        ...bumpFees(transaction, gasPriceCaps)
+      };
+
+      if (attempt < retries) {
+        await (new Promise(okay => setTimeout(okay, SLEEP_DURATION)));
+      } else {
+        throw new Error(`Failed to cancel nonce ${nonce} after ${attempt} attempt(s): error=\`${e.toString()}\``);
+      }
+    }
+  }
+}
+
+function posterAddress(signerKey: Signer | string, web3: Web3): string {
+  return toSigner(signerKey, web3).address;
+}
+
+async function signAndSend(transaction: TransactionConfig, signerKey: Signer | string, web3: Web3): Promise<TransactionReceipt> {
   let signedTransaction =
-    await web3.eth.accounts.signTransaction(transaction, signerKey);
+    await toSigner(signerKey, web3).signTransaction(transaction, web3);
 
-  return web3.eth.sendSignedTransaction(signedTransaction.rawTransaction || '');
+  return web3.eth.sendSignedTransaction(signedTransaction);
 }
 
 export {
+  PostOptions,
+  cancelNonce,
   postWithRetries,
+  posterAddress,
   signAndSend
 }
@@ -1,23 +1,154 @@
-import { postWithRetries } from './post_with_retries';
+import { PostOptions, postWithRetries } from './post_with_retries';
+import { Signer, toSigner } from './signer';
 import fetch from 'node-fetch';
 import Web3 from 'web3';
-import { TransactionConfig } from 'web3-core';
+import { TransactionConfig, TransactionReceipt } from 'web3-core';
 import {
   getDataAddress,
-  getPreviousPrice,
-  getSourceAddress
+  getPreviousData
 } from './prev_price';
 import { BigNumber as BN } from 'bignumber.js';
-import { CoinbaseConfig, readCoinbasePayload } from './sources/coinbase';
-import { decodeMessage, encode, zip } from './util';
+import { fetchSource, parseSource } from './sources/registry';
+import { allSuccesses, decodeMessage, encode, latestBlockTimestamp, recoverSource, withTimeout, zip } from './util';
 import { mockUniswapTokenPairs } from './mainnet_uniswap_mocker';
+import { SpendTracker } from './budget';
+import { Labels, metrics } from './metrics';
+import { SymbolOutcome, receiptOutcomes, reportOutcomes } from './receipt';
+import { AnchorCheckMode, checkAnchors, fetchKeeperAnchors, fetchStaleWindows } from './anchor';
+import { isReporterInvalidated } from './rotation';
+import { FeeMode, TransactionFees, fetchEip1559Fees } from './fees';
+import {
+  GasPriceCaps,
+  GasPriceStrategy,
+  capGasPrice,
+  nodeGasPrice,
+  staticGasPrice,
+  withCaps
+} from './gas_price';
+
+// How much we inflate the gas estimate of a post, to be safe
+const GAS_ESTIMATE_MARGIN = 1.5;
+
+export interface FilterOptions {
+  // Max age in seconds of the stored price per symbol, after which it is posted even within its delta
+  maxAges?: {[symbol: string]: number}
+  // Reporter addresses whose messages we expect to post, messages signed by anyone else are dropped
+  reporters?: string[]
+  // Max age in seconds of a reporter's message, older messages are never posted
+  maxMessageAge?: number
+}
+
+// How far ahead of the block time the data contract accepts message timestamps
+const MAX_FUTURE_TIMESTAMP = 60 * 60; // 60 minutes
+
+export interface FetchOptions {
+  // Seconds to wait for each attempt at fetching a source
+  sourceTimeout?: number
+  // How many more times to try a source which failed or timed out
+  sourceRetries?: number
+  // Milliseconds to wait before the first retry of a source, doubling for each retry after
+  sourceBackoff?: number
+  // The run fails unless at least this many sources could be fetched
+  minSources?: number
+}
+
+export interface SourceFailure {
+  source: string
+  error: string
+}
+
+// What happened in a run, for the health log
+export interface PosterRun {
+  // A receipt per transaction posted
+  receipts: TransactionReceipt[]
+  failedSources: SourceFailure[]
+  // What happened to each symbol that was posted
+  outcomes: SymbolOutcome[]
+  // The poster's balance in wei, if it is below the low-balance threshold
+  lowBalance?: string
+  // Set once the view's reporter is invalidated, and the poster only keeps its anchor prices moving
+  reporterInvalidated?: boolean
+}
+
+export interface PosterOptions extends FilterOptions, FetchOptions {
+  // Post legacy `gasPrice` transactions (the default), or type-2 transactions priced from `eth_feeHistory`
+  feeMode?: FeeMode
+  // The reward percentile used for the type-2 priority fee
+  feePercentile?: number
+  // How to price legacy transactions, defaults to the static `gasPrice` if given, otherwise the node's `eth_gasPrice`
+  gasPriceStrategy?: GasPriceStrategy
+  // Floor and ceiling applied to the legacy gas price, or the type-2 max fee
+  gasPriceCaps?: GasPriceCaps
+  // Per-transaction and daily spending limits for posts
+  spendTracker?: SpendTracker
+  // Do everything short of signing and sending, and print what would have been posted
+  dryRun?: boolean
+  // The most gas a single post may use (its estimate plus the safety margin), larger posts are split up
+  gasCeiling?: number
+  // Leave out (`exclude`, the default) or only warn about (`flag`) symbols the view would guard by their anchor
+  anchorCheck?: AnchorCheckMode
+  // Warn once the poster's balance in wei falls below this, before it is too low to post
+  lowBalance?: string
+  // Also post the symbols whose anchor window is at least this many anchor periods old, without a message
+  windowKeeper?: number
+}
+
+// A symbol posted without a message once the view's reporter is invalidated, with the anchor price the
+// view would store and the price it stores now
+export interface KeeperItem {
+  symbol: string
+  price: number
+  prev: number
+  reason: PostReason
+}
+
+export interface DryRunRow {
+  symbol: string
+  price?: number
+  prev?: number
+  change?: string
+  gas?: number
+  cost?: string
+}
+
+// Where and how to post: a view on some network, and the key paying for posts to it
+export interface PosterTarget {
+  // Names the target in logs and in the health log, when posting to several
+  name?: string
+  signer: Signer
+  viewAddress: string
+  functionSig: string
+  gas: number
+  gasPrice: number | undefined
+  deltas
+  assets: string[]
+  mockedWorld: boolean
+  pairs
+  web3: Web3
+  options: PosterOptions
+}
+
+// Names a target in metrics, by its name or otherwise its view address
+export function targetLabel(target: {name?: string, viewAddress: string}): string {
+  return target.name || target.viewAddress;
+}
 
-const GAS_PRICE_API = 'https://api.compound.finance/api/gas_prices/get_gas_price';
-const DEFAULT_GAS_PRICE = 3_000_000_000; // use 3 gwei if api is unreachable for some reason
+// Every transaction of a target goes through its spend limits and gas price caps
+function postOptions(target: PosterTarget): PostOptions {
+  const {spendTracker, gasPriceCaps} = target.options;
+
+  return {spendTracker, gasPriceCaps, target: targetLabel(target)};
+}
+
+export interface TargetRun {
+  target: PosterTarget
+  run?: PosterRun
+  error?: Error
+}
 
 export async function main(
     sources: string[],
-    senderKey: string,
+    senderKey: Signer | string,
     viewAddress: string,
     functionSig: string,
     gas: number,
@@ -26,40 +157,307 @@ export async function main(
     assets: string[],
     mocked_world: boolean,
     pairs,
-    web3: Web3) {
+    web3: Web3,
+    options: PosterOptions = {}): Promise<PosterRun> {
 
-  const payloads = await fetchPayloads(sources);
-  const feedItems = await filterPayloads(payloads, viewAddress, assets, deltas, web3);
+  const {payloads, failures} = await fetchSources(sources, fetch, options);
 
-  if (feedItems.length > 0) {
-    // If gas price was not defined, fetch average one from Compound API
-    if (!gasPrice) {
-      gasPrice = await fetchGasPrice();
+  return await postPayloads(payloads, failures, {
+    signer: toSigner(senderKey, web3),
+    viewAddress,
+    functionSig,
+    gas,
+    gasPrice,
+    deltas,
+    assets,
+    mockedWorld: mocked_world,
+    pairs,
+    web3,
+    options
+  });
+}
+
+// Fetches the sources once, then filters and posts them to each target in turn. A target which fails
+// doesn't stop the others from being posted to.
+export async function mainTargets(sources: string[], targets: PosterTarget[], options: FetchOptions = {}, fetchFn = fetch): Promise<TargetRun[]> {
+  const {payloads, failures} = await fetchSources(sources, fetchFn, options);
+  const runs: TargetRun[] = [];
+
+  for (const target of targets) {
+    try {
+      console.log(`Posting to ${target.name || target.viewAddress}`);
+      runs.push({target, run: await postPayloads(payloads, failures, target)});
+    } catch (e) {
+      console.error(`Posting to ${target.name || target.viewAddress} failed: ${e.toString()}`);
+      runs.push({target, error: e});
     }
+  }
+
+  return runs;
+}
+
+export async function postPayloads(payloads: OpenPriceFeedPayload[], failures: SourceFailure[], target: PosterTarget): Promise<PosterRun> {
+  const {signer, viewAddress, functionSig, gas, gasPrice, deltas, assets, mockedWorld: mocked_world, pairs, web3, options} = target;
+  const labels = {target: targetLabel(target)};
+
+  const balance = await web3.eth.getBalance(signer.address);
+  metrics.balance.set(labels, Number(web3.utils.fromWei(balance)));
+
+  const lowBalance = options.lowBalance !== undefined && new BN(balance).isLessThan(options.lowBalance);
+  metrics.lowBalance.set(labels, lowBalance ? 1 : 0);
+  if (lowBalance) {
+    console.warn(`Poster account ${signer.address} is running low, holding ${web3.utils.fromWei(balance)} ETH`);
+  }
+
+  const posterRun = (receipts: TransactionReceipt[], outcomes: SymbolOutcome[]): PosterRun =>
+    ({receipts, failedSources: failures, outcomes, ...(lowBalance ? {lowBalance: balance} : {})});
+
+  const reporterInvalidated = await isReporterInvalidated(viewAddress, web3);
+  metrics.reporterInvalidated.set(labels, reporterInvalidated ? 1 : 0);
+  if (reporterInvalidated) {
+    console.error(`The reporter of view ${viewAddress} is invalidated, so the view ignores reporter prices! Only posting symbols, to keep its anchor prices moving.`);
+
+    const keeperItems = await anchorKeeperItems(assets, viewAddress, deltas, options.maxAges || {}, web3, labels);
+    const {receipts, outcomes} = await postAnchors(keeperItems, target);
+    return {...posterRun(receipts, outcomes), reporterInvalidated: true};
+  }
+
+  let feedItems = await filterPayloads(payloads, viewAddress, assets, deltas, web3, options, labels);
+  const staleWindows = options.windowKeeper !== undefined ? await fetchStaleWindows(assets, viewAddress, options.windowKeeper, web3) : [];
+
+  if (feedItems.length > 0 || staleWindows.length > 0) {
+    const fees = await fetchFees(gasPrice, options, web3);
 
     // mock uniswap mainnet pairs price
-    if (mocked_world) {
+    if (mocked_world && !options.dryRun) {
       // Mock only pairs that will be updated
       const updateAssets = feedItems.map(item => item.symbol)
-      await mockUniswapTokenPairs(updateAssets, senderKey, pairs, gas, gasPrice, web3);
-    }
-
-    const trxData = buildTrxData(feedItems, functionSig);
-    const gasEstimate = await web3.eth.estimateGas({data: trxData, to: viewAddress});
-    // Make gas estimate safer by 50% adjustment
-    const gastEstimateAdjusted = Math.floor(gasEstimate * 1.5);
-    const trx = <TransactionConfig>{
-      data: trxData,
-      to: viewAddress,
-      gasPrice: gasPrice,
-      gas: gastEstimateAdjusted
-    };
+      await mockUniswapTokenPairs(updateAssets, signer, pairs, gas, fees, web3, postOptions(target));
+    }
+
+    feedItems = await checkAnchors(feedItems, viewAddress, options.anchorCheck || 'exclude', web3, labels);
+    // Symbols with messages move their windows anyway
+    const windowSymbols = staleWindows.filter((symbol) => !feedItems.some((item) => item.symbol.toUpperCase() === symbol));
+    if (feedItems.length === 0 && windowSymbols.length === 0) {
+      return posterRun([], []);
+    }
+
+    const chunks = await chunkFeedItems(feedItems, functionSig, viewAddress, options.gasCeiling, web3, windowSymbols);
+
+    if (options.dryRun) {
+      for (const [i, chunk] of chunks.entries()) {
+        // Surfaces a revert (and its reason) the same way the post would hit it
+        await web3.eth.call({data: buildTrxData(chunk.feedItems, functionSig, chunk.symbols), to: viewAddress});
+
+        console.log(`Dry run, not posting${chunks.length > 1 ? ` transaction ${i + 1} of ${chunks.length}` : ''}:`);
+        console.table(dryRunReport(chunk.feedItems, chunk.gasEstimate, fees));
+        if (chunk.symbols) {
+          console.log(`Also posting ${chunk.symbols.join(', ')} without messages, to move their anchor windows`);
+        }
+      }
+      return posterRun([], []);
+    }
+
+    const receipts: TransactionReceipt[] = [];
+    const outcomes: SymbolOutcome[] = [];
+    const failedChunks: string[] = [];
+
+    // Each chunk is sent once the last one is mined, so they take consecutive nonces
+    for (const [i, chunk] of chunks.entries()) {
+      // Make gas estimate safer by 50% adjustment
+      const gastEstimateAdjusted = Math.floor(chunk.gasEstimate * GAS_ESTIMATE_MARGIN);
+      const trx = <TransactionConfig>{
+        data: buildTrxData(chunk.feedItems, functionSig, chunk.symbols),
+        to: viewAddress,
+        gas: gastEstimateAdjusted,
+        ...fees
+      };
+
+      console.log(`Posting${chunks.length > 1 ? ` transaction ${i + 1} of ${chunks.length}` : ''}...`);
+      console.log(chunk.feedItems);
+      if (chunk.symbols) {
+        console.log(`Moving the anchor windows of ${chunk.symbols.join(', ')}`);
+      }
+
+      let receipt: TransactionReceipt;
+      try {
+        receipt = await postWithRetries(trx, signer, web3, postOptions(target));
+      } catch (e) {
+        if (chunks.length === 1) {
+          throw e;
+        }
+
+        // Carry on with the rest, so that one failing chunk doesn't lose every price
+        console.error(`Posting transaction ${i + 1} of ${chunks.length} failed: ${e.toString()}`);
+        failedChunks.push(`${[...chunkSymbols(chunk.feedItems), ...(chunk.symbols || [])].join(',')} (${e.message})`);
+        continue;
+      }
+
+      const chunkOutcomes = receiptOutcomes(receipt, chunk.feedItems, web3, chunk.symbols);
+      reportOutcomes(chunkOutcomes, labels);
+      receipts.push(receipt);
+      outcomes.push(...chunkOutcomes);
 
-    console.log(`Posting...`);
-    console.log(feedItems);
+      metrics.posts.inc(labels);
+      chunk.feedItems.forEach(({symbol, price, reason}) => {
+        metrics.lastPostedPrice.set({...labels, symbol}, price);
+        if (reason === 'heartbeat') {
+          metrics.heartbeats.inc({...labels, symbol});
+        }
+      });
+      (chunk.symbols || []).forEach((symbol) => metrics.windowPosts.inc({...labels, symbol}));
+    }
+
+    if (failedChunks.length > 0) {
+      throw new Error(`${failedChunks.length} of ${chunks.length} transactions failed to post: ${failedChunks.join('; ')}`);
+    }
 
-    return await postWithRetries(trx, senderKey, web3);
+    return posterRun(receipts, outcomes);
   }
+
+  return posterRun([], []);
+}
+
+// Picks the symbols to post without messages to a view whose reporter is invalidated: those whose stored
+// price has moved past its delta from the anchor, or whose anchor window is older than its max age
+export async function anchorKeeperItems(assets: string[], viewAddress: string, deltas, maxAges: {[symbol: string]: number}, web3: Web3, labels: Labels = {}): Promise<KeeperItem[]> {
+  const now = Math.floor(Date.now() / 1000);
+  const anchors = await fetchKeeperAnchors(assets, viewAddress, web3);
+
+  return anchors.map(({symbol, anchorPrice, storedPrice, windowTimestamp}) => {
+    const price = anchorPrice.dividedBy(1e6).toNumber();
+    const prev = storedPrice.dividedBy(1e6).toNumber();
+
+    return {symbol, price, prev, reason: postReason(deltas[symbol], maxAges[symbol], price, prev, windowTimestamp, now)};
+  }).filter((item): item is KeeperItem => {
+    if (item.reason === undefined) {
+      metrics.skippedByDelta.inc({...labels, symbol: item.symbol});
+      return false;
+    }
+
+    console.log(`Keeping anchor: symbol=${item.symbol}, anchor=${item.price}, stored=${item.prev}, reason=${item.reason}`);
+    return true;
+  });
+}
+
+// Posts the symbols alone, which has the view store their anchor prices and move their anchor windows
+async function postAnchors(keeperItems: KeeperItem[], target: PosterTarget): Promise<{receipts: TransactionReceipt[], outcomes: SymbolOutcome[]}> {
+  const {signer, viewAddress, functionSig, gasPrice, web3, options} = target;
+  const labels = {target: targetLabel(target)};
+  if (keeperItems.length === 0) {
+    return {receipts: [], outcomes: []};
+  }
+
+  const symbols = keeperItems.map(({symbol}) => symbol);
+  const data = buildTrxData([], functionSig, symbols);
+  const fees = await fetchFees(gasPrice, options, web3);
+  const gasEstimate = await web3.eth.estimateGas({data, to: viewAddress});
+
+  if (options.dryRun) {
+    await web3.eth.call({data, to: viewAddress});
+
+    console.log('Dry run, not posting:');
+    console.table(dryRunReport(keeperItems, gasEstimate, fees));
+    return {receipts: [], outcomes: []};
+  }
+
+  const trx = <TransactionConfig>{
+    data,
+    to: viewAddress,
+    gas: Math.floor(gasEstimate * GAS_ESTIMATE_MARGIN),
+    ...fees
+  };
+
+  console.log(`Posting the anchors of ${symbols.join(', ')}...`);
+  const receipt = await postWithRetries(trx, signer, web3, postOptions(target));
+
+  const outcomes = receiptOutcomes(receipt, [], web3, symbols);
+  reportOutcomes(outcomes, labels);
+  metrics.posts.inc(labels);
+  outcomes.forEach(({symbol, price}) => {
+    if (price !== undefined) {
+      metrics.lastPostedPrice.set({...labels, symbol}, price);
+    }
+  });
+
+  return {receipts: [receipt], outcomes};
+}
+
+export interface PostChunk {
+  feedItems: OpenPriceFeedItem[]
+  // Symbols posted without a message, to move their anchor windows
+  symbols?: string[]
+  gasEstimate: number
+}
+
+function chunkSymbols(feedItems: OpenPriceFeedItem[]): string[] {
+  return [...new Set(feedItems.map(({symbol}) => symbol.toUpperCase()))];
+}
+
+// Splits the feed items, and any symbols posted without a message, into as few posts as fit under the gas
+// ceiling, keeping all messages for a symbol in the same post as the symbol. A symbol which doesn't fit on
+// its own is still posted, alone.
+export async function chunkFeedItems(feedItems: OpenPriceFeedItem[], functionSig: string, viewAddress: string, gasCeiling: number | undefined, web3: Web3, symbols: string[] = []): Promise<PostChunk[]> {
+  const estimate = async (items: OpenPriceFeedItem[], windowSymbols: string[]) => await web3.eth.estimateGas({data: buildTrxData(items, functionSig, windowSymbols), to: viewAddress});
+  const fits = (gasEstimate: number) => gasCeiling === undefined || gasEstimate * GAS_ESTIMATE_MARGIN <= gasCeiling;
+  const toChunk = (items: OpenPriceFeedItem[], windowSymbols: string[], gasEstimate: number): PostChunk =>
+    windowSymbols.length > 0 ? {feedItems: items, symbols: windowSymbols, gasEstimate} : {feedItems: items, gasEstimate};
+
+  const gasEstimate = await estimate(feedItems, symbols);
+  if (fits(gasEstimate)) {
+    return [toChunk(feedItems, symbols, gasEstimate)];
+  }
+
+  // A symbol goes with all of its messages, or alone if it is only posted for its anchor window
+  const groups = [
+    ...chunkSymbols(feedItems).map((symbol) => ({symbol, feedItems: feedItems.filter((item) => item.symbol.toUpperCase() === symbol), symbols: []})),
+    ...symbols.map((symbol) => ({symbol, feedItems: [], symbols: [symbol]}))
+  ];
+  const chunks: PostChunk[] = [];
+  let current = {feedItems: <OpenPriceFeedItem[]>[], symbols: <string[]>[], gasEstimate: 0};
+
+  for (const group of groups) {
+    const candidate = {feedItems: [...current.feedItems, ...group.feedItems], symbols: [...current.symbols, ...group.symbols]};
+    const candidateEstimate = await estimate(candidate.feedItems, candidate.symbols);
+
+    if (current.feedItems.length + current.symbols.length > 0 && !fits(candidateEstimate)) {
+      chunks.push(toChunk(current.feedItems, current.symbols, current.gasEstimate));
+      current = {feedItems: group.feedItems, symbols: group.symbols, gasEstimate: await estimate(group.feedItems, group.symbols)};
+    } else {
+      current = {...candidate, gasEstimate: candidateEstimate};
+    }
+
+    if (!fits(current.gasEstimate)) {
+      console.warn(`Posting ${group.symbol} needs ${current.gasEstimate} gas before the safety margin, which alone is over the gas ceiling of ${gasCeiling}`);
+    }
+  }
+  chunks.push(toChunk(current.feedItems, current.symbols, current.gasEstimate));
+
+  console.log(`Splitting ${feedItems.length} messages${symbols.length > 0 ? ` and ${symbols.length} symbols without messages` : ''} into ${chunks.length} transactions under the gas ceiling of ${gasCeiling}`);
+
+  return chunks;
+}
+
+// Summarizes a post that would have been made: a row per symbol, and a total row with the gas estimate and its cost in ETH
+export function dryRunReport(feedItems: {symbol: string, price: number, prev: number}[], gasEstimate: number, fees: TransactionFees): DryRunRow[] {
+  const gasPrice = 'maxFeePerGas' in fees ? fees.maxFeePerGas : fees.gasPrice;
+  const rows: DryRunRow[] = feedItems.map(({symbol, price, prev}) => {
+    return {
+      symbol,
+      price,
+      prev,
+      change: prev > 0 ? `${new BN(price).minus(prev).dividedBy(prev).multipliedBy(100).toFixed(2)}%` : 'n/a'
+    };
+  });
+
+  return [
+    ...rows,
+    {
+      symbol: 'TOTAL',
+      gas: gasEstimate,
+      cost: `${Web3.utils.fromWei(new BN(gasEstimate).multipliedBy(gasPrice).toFixed())} ETH`
+    }
+  ];
 }
 
 export async function filterPayloads(
@@ -67,55 +465,136 @@ export async function filterPayloads(
     viewAddress: string,
     supportedAssets: string[],
     deltas,
-    web3: Web3): Promise<OpenPriceFeedItem[]> {
+    web3: Web3,
+    options: FilterOptions = {},
+    labels: Labels = {}): Promise<OpenPriceFeedItem[]> {
 
   const dataAddress = await getDataAddress(viewAddress, web3);
+  const maxAges = options.maxAges || {};
+  const reporters = (options.reporters || []).map(reporter => reporter.toLowerCase());
+  const now = Math.floor(Date.now() / 1000);
 
-  let filteredFeedItems = await Promise.all(payloads.map(async payload => {
-    return await Promise.all(zip(payload.messages, payload.signatures).map(([message, signature]) => {
-        const {
-          dataType,
-          timestamp,
-          symbol,
-          price
-        } = decodeMessage(message, web3)
-
-        return {
-          message,
-          signature,
-          dataType,
-          timestamp,
-          symbol: symbol.toUpperCase(),
-          price: Number(price)
-        };
-      }).filter(({message, signature, symbol}) => {
-        return supportedAssets.includes(symbol.toUpperCase());
-      }).map(async (feedItem) => {
-        const source = await getSourceAddress(dataAddress, feedItem.message, feedItem.signature, web3);
-        const prev = await getPreviousPrice(source, feedItem.symbol, dataAddress, web3);
-
-        return {
-          ...feedItem,
-          source,
-          prev: Number(prev) / 1e6
-        };
-      })).then((feedItems) => {
-        return feedItems.filter(({message, signature, symbol, price, prev}) => {
-          return !inDeltaRange(deltas[symbol], price, prev);
-        });
-      });
-  }));
+  const candidates = payloads.map(payload => {
+    return zip(payload.messages, payload.signatures).map(([message, signature]) => {
+      const {
+        dataType,
+        timestamp,
+        symbol,
+        price
+      } = decodeMessage(message, web3)
+
+      return {
+        message,
+        signature,
+        dataType,
+        timestamp: Number(timestamp),
+        symbol: symbol.toUpperCase(),
+        price: Number(price)
+      };
+    });
+  }).flat().filter(({message, signature, symbol}) => {
+    return supportedAssets.includes(symbol.toUpperCase());
+  }).map((feedItem) => {
+    let source: string | undefined;
+    try {
+      source = recoverSource(feedItem.message, feedItem.signature, web3);
+    } catch (e) {
+      console.warn(`Dropping ${feedItem.symbol} message with invalid signature: ${e.toString()}`);
+    }
 
-  let feedItems = filteredFeedItems.flat();
+    return {...feedItem, source: <string>source};
+  }).filter(({symbol, source}) => {
+    if (source === undefined) {
+      return false;
+    }
+
+    if (reporters.length > 0 && !reporters.includes(source.toLowerCase())) {
+      console.warn(`Dropping ${symbol} message signed by unexpected reporter ${source}`);
+      return false;
+    }
+
+    return true;
+  });
+
+  // Look up all of the stored prices in one batched read
+  const prevData = await getPreviousData(candidates, dataAddress, web3);
+  const blockTimestamp = await latestBlockTimestamp(web3);
+
+  const writable = zip(candidates, prevData).filter(([{symbol, source, timestamp}, {timestamp: prevTimestamp}]) => {
+    const rejection = messageRejection(timestamp, prevTimestamp, blockTimestamp, options.maxMessageAge, now);
+
+    if (rejection !== undefined) {
+      console.warn(`Dropping ${symbol} message from ${source} at ${timestamp}: ${rejection}`);
+      metrics.rejectedMessages.inc({...labels, symbol});
+      return false;
+    }
+
+    return true;
+  }).filter(([feedItem], i, items) => {
+    // Only the newest message per reporter and symbol would be written, the rest would not be newer than it
+    return !items.some(([other], j) => {
+      return other.source === feedItem.source && other.symbol === feedItem.symbol &&
+        (other.timestamp > feedItem.timestamp || (other.timestamp === feedItem.timestamp && j < i));
+    });
+  });
+
+  let feedItems = <OpenPriceFeedItem[]>writable.map(([feedItem, {timestamp: prevTimestamp, value}]) => {
+    const prev = value / 1e6;
+
+    return {
+      ...feedItem,
+      prev,
+      reason: postReason(deltas[feedItem.symbol], maxAges[feedItem.symbol], feedItem.price, prev, prevTimestamp, now)
+    };
+  }).filter(({symbol, reason}) => {
+    if (reason === undefined) {
+      metrics.skippedByDelta.inc({...labels, symbol});
+      return false;
+    }
+
+    return true;
+  });
 
   feedItems
-    .forEach(({source, symbol, price, prev}) => {
-      console.log(`Setting Price: source=${source}, symbol=${symbol}, price=${price}, prev_price=${prev}`);
+    .forEach(({source, symbol, price, prev, reason}) => {
+      console.log(`Setting Price: source=${source}, symbol=${symbol}, price=${price}, prev_price=${prev}, reason=${reason}`);
     });
 
   return feedItems;
 }
 
+// Why the data contract would emit `NotWritten` for a message rather than write it, or why it is too old to post:
+// it must be newer than the stored datum, and less than 60 minutes ahead of the block it is mined in
+export function messageRejection(timestamp: number, prevTimestamp: number, blockTimestamp: number, maxMessageAge: number | undefined, now: number): string | undefined {
+  if (timestamp <= prevTimestamp) {
+    return `not newer than the stored price at ${prevTimestamp}`;
+  }
+
+  if (timestamp >= blockTimestamp + MAX_FUTURE_TIMESTAMP) {
+    return `more than 60 minutes ahead of the latest block at ${blockTimestamp}`;
+  }
+
+  if (maxMessageAge !== undefined && now - timestamp > maxMessageAge) {
+    return `older than the max message age of ${maxMessageAge}s`;
+  }
+
+  return undefined;
+}
+
+// Decides whether a price should be posted: either it moved outside of its delta range, or the
+// stored price is older than the symbol's max age (a heartbeat). Returns undefined to skip it.
+export function postReason(delta: number, maxAge: number | undefined, price: number, prevPrice: number, prevTimestamp: number, now: number): PostReason | undefined {
+  if (!inDeltaRange(delta, price, prevPrice)) {
+    return 'deviation';
+  }
+
+  if (maxAge !== undefined && maxAge > 0 && now - prevTimestamp >= maxAge) {
+    return 'heartbeat';
+  }
+
+  return undefined;
+}
+
 // Checks if new price is less than delta percent different form the old price
 // Note TODO: price here is uh... a number that needs to be scaled by 1e6?
 export function inDeltaRange(delta: number, price: number, prevPrice: number) {
@@ -130,63 +609,84 @@ export function inDeltaRange(delta: number, price: number, prevPrice: number) {
   return difference.isLessThanOrEqualTo(minDifference);
 }
 
-export async function fetchPayloads(sources: string[], fetchFn=fetch): Promise<OpenPriceFeedPayload[]> {
-  function parse(json): object {
-    let result;
-    try {
-      result = JSON.parse(json);
-    } catch (e) {
-      console.error(`Error parsing source input: ${json}`);
-      throw e;
-    }
-    if (!result['source']) {
-      throw new Error(`Source must include \`source\` field for ${json}`);
-    }
-    return result;
-  }
+export async function fetchPayloads(sources: string[], fetchFn=fetch, options: FetchOptions = {}): Promise<OpenPriceFeedPayload[]> {
+  return (await fetchSources(sources, fetchFn, options)).payloads;
+}
 
-  return await Promise.all(sources.map(async (sourceRaw) => {
-    let source = sourceRaw.includes('{') ? parse(sourceRaw) : sourceRaw;
-    let response;
+// Fetches every source, retrying each with backoff, and carries on with those that succeed so long as there
+// are at least `minSources` of them
+export async function fetchSources(sources: string[], fetchFn=fetch, options: FetchOptions = {}): Promise<{payloads: OpenPriceFeedPayload[], failures: SourceFailure[]}> {
+  const {sourceTimeout = 10, sourceRetries = 2, sourceBackoff = 1000, minSources = 1} = options;
+  const failures: SourceFailure[] = [];
 
-    try {
-      if (typeof(source) === 'string') {
-        response = await fetchFn(source);
-      } else if (source['source'] === 'coinbase') {
-        response = await readCoinbasePayload(<CoinbaseConfig>source, fetchFn);
-      }
+  // A misconfigured source fails the run outright, rather than being retried
+  const parsedSources = sources.map((sourceRaw) => {
+    let source = parseSource(sourceRaw);
+    let sourceLabel = !sourceRaw.includes('{') ? sourceRaw : `${source['source']}:${source['endpoint']}`;
 
-      return await response.json();
-    } catch (e) {
-      // This is now just for some extra debugging messages
-      console.error(`Error Fetching Payload for ${JSON.stringify(source)}`);
-      if (response) {
-        console.debug({response});
+    return {source, sourceLabel};
+  });
+
+  const payloads = await allSuccesses(parsedSources.map(async ({source, sourceLabel}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const start = Date.now();
+        const payload = await withTimeout(fetchSource(source, fetchFn), sourceTimeout * 1000, `Timed out after ${sourceTimeout}s`);
+        metrics.sourceFetchSeconds.set({source: sourceLabel}, (Date.now() - start) / 1000);
+
+        return payload;
+      } catch (e) {
+        // This is now just for some extra debugging messages
+        console.error(`Error Fetching Payload for ${sourceLabel} (attempt ${attempt + 1} of ${sourceRetries + 1})`);
+        console.error(e);
+
+        if (attempt >= sourceRetries) {
+          metrics.sourceFailures.inc({source: sourceLabel});
+          failures.push({source: sourceLabel, error: e.message});
+          throw e;
+        }
+
+        await (new Promise(okay => setTimeout(okay, sourceBackoff * 2 ** attempt)));
       }
-      console.error(e);
-      throw e;
     }
   }));
+
+  if (payloads.length < minSources) {
+    throw new Error(`Only ${payloads.length} of ${sources.length} sources could be fetched, at least ${minSources} required. Failing sources: ${failures.map(({source, error}) => `${source} (${error})`).join(', ')}`);
+  }
+
+  return {payloads, failures};
 }
 
-export async function fetchGasPrice(fetchFn = fetch): Promise<number> {
-  try {
-    let response = await fetchFn(GAS_PRICE_API);
-    let prices = await response.json();
-    return Number(prices["average"]["value"]);
-  } catch (e) {
-    console.warn(`Failed to fetch gas price`, e);
-    return DEFAULT_GAS_PRICE;
+export async function fetchFees(gasPrice: number | undefined, options: PosterOptions, web3: Web3): Promise<TransactionFees> {
+  const caps = options.gasPriceCaps || {};
+
+  if (options.feeMode === 'eip1559') {
+    const {maxFeePerGas, maxPriorityFeePerGas} = await fetchEip1559Fees(web3, options.feePercentile);
+    const cappedMaxFeePerGas = capGasPrice(maxFeePerGas, caps);
+
+    return {
+      maxFeePerGas: cappedMaxFeePerGas,
+      maxPriorityFeePerGas: Math.min(maxPriorityFeePerGas, cappedMaxFeePerGas)
+    };
   }
+
+  const strategy = options.gasPriceStrategy || (gasPrice ? staticGasPrice(gasPrice) : nodeGasPrice());
+  const fees = {gasPrice: await withCaps(strategy, caps).fetch(web3)};
+
+  console.log(`Using ${strategy.name} gas price: ${fees.gasPrice}`);
+
+  return fees;
 }
 
-export function buildTrxData(feedItems: OpenPriceFeedItem[], functionSig: string): string {  
+// `symbols` are posted along with those of the feed items, without a message
+export function buildTrxData(feedItems: OpenPriceFeedItem[], functionSig: string, symbols: string[] = []): string {
   const messages = feedItems.map(({message}) => message);
   const signatures = feedItems.map(({signature}) => signature);
-  const symbols = [...new Set(feedItems.map(({symbol}) => symbol.toUpperCase()))];
+  const postedSymbols = [...new Set([...feedItems.map(({symbol}) => symbol), ...symbols].map((symbol) => symbol.toUpperCase()))];
 
   return encode(
     functionSig,
-    [messages, signatures, symbols]
+    [messages, signatures, postedSymbols]
   );
 }
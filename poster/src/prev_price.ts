@@ -1,14 +1,24 @@
 import Web3 from 'web3';
-import { read } from './util';
+import { read, readBatch } from './util';
 
-export async function getPreviousPrice(sourceAddress: string, asset: string, dataAddress: string, web3: Web3) {
-  return await read(
-    dataAddress,
-    'getPrice(address,string)',
-    [sourceAddress, asset.toUpperCase()],
-    'uint256',
-    web3
-  );
+// Reads the full stored `Datum` (the price along with the timestamp it was written at) for each
+// source and asset, batched into a single request
+export async function getPreviousData(lookups: {source: string, symbol: string}[], dataAddress: string, web3: Web3): Promise<{timestamp: number, value: number}[]> {
+  const results = await readBatch(lookups.map(({source, symbol}) => {
+    return {
+      address: dataAddress,
+      sig: 'get(address,string)',
+      args: [source, symbol.toUpperCase()],
+      returns: ['uint64', 'uint64']
+    };
+  }), web3);
+
+  return results.map(({'0': timestamp, '1': value}) => {
+    return {
+      timestamp: Number(timestamp),
+      value: Number(value)
+    };
+  });
 }
 
 export async function getDataAddress(viewAddress: string, web3: Web3) {
@@ -20,13 +30,3 @@ export async function getDataAddress(viewAddress: string, web3: Web3) {
     web3
   );
 }
-
-export async function getSourceAddress(dataAddress: string, message: string, signature: string, web3 : Web3) {
-  return await read(
-    dataAddress,
-    'source(bytes,bytes)',
-    [message, signature],
-    'address',
-    web3
-  );
-}
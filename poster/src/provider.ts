@@ -0,0 +1,225 @@
+import fetch from 'node-fetch';
+import { URL } from 'url';
+import { Labels, metrics } from './metrics';
+import { withTimeout } from './util';
+
+// A web3 provider over an ordered list of JSON-RPC endpoints. Requests go to the first healthy endpoint,
+// and move on to the next one on a timeout, connection error or 5xx, while JSON-RPC errors (such as a
+// revert) are passed back as usual. Whilst on a backup, the endpoints before it are checked again now and
+// then, so that the poster returns to its preferred endpoint once it recovers.
+
+const DEFAULT_TIMEOUT = 30_000; // 30s
+const DEFAULT_HEALTH_CHECK_INTERVAL = 60_000; // 1m
+// How long a broadcast transaction is kept to send again to a new endpoint, in case it never made it
+// from the old endpoint into the mempool
+const REBROADCAST_WINDOW = 15 * 60_000; // 15m
+
+// Errors of the endpoint itself, rather than of the request
+export class ProviderError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ProviderError';
+  }
+}
+
+export interface FailoverOptions {
+  // Milliseconds to wait for each request
+  timeout?: number
+  // Milliseconds between checks of the endpoints preferred to the current one
+  healthCheckInterval?: number
+  // Labels the provider metrics with the target posting through it
+  target?: string
+}
+
+interface Broadcast {
+  raw: string
+  sentAt: number
+}
+
+type JsonRpcPayload = {method: string, params?: any[], id?: any, jsonrpc?: string};
+
+// Names an endpoint in logs and metrics by its host alone, since its URL may well hold an API key
+export function describeProvider(url: string): string {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return url;
+  }
+}
+
+export class FailoverProvider {
+  urls: string[]
+  active: number
+  timeout: number
+  healthCheckInterval: number
+  lastHealthCheck: number
+  broadcasts: Broadcast[]
+  labels: Labels
+  fetchFn
+
+  constructor(urls: string[], options: FailoverOptions = {}, fetchFn = fetch) {
+    if (urls.length === 0) {
+      throw new Error('FailoverProvider needs at least one provider');
+    }
+
+    this.urls = urls;
+    this.active = 0;
+    this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT;
+    this.healthCheckInterval = options.healthCheckInterval !== undefined ? options.healthCheckInterval : DEFAULT_HEALTH_CHECK_INTERVAL;
+    this.lastHealthCheck = Date.now();
+    this.broadcasts = [];
+    this.labels = options.target !== undefined ? {target: options.target} : {};
+    this.fetchFn = fetchFn;
+
+    metrics.activeProvider.set(this.labels, this.active);
+  }
+
+  // The callback-style interface web3 expects of a provider. (Having a `request` method instead would make
+  // web3 treat us as an EIP-1193 provider.)
+  send(payload: JsonRpcPayload | JsonRpcPayload[], callback: (error: Error | null, result?: any) => void) {
+    this.dispatch(payload).then((result) => callback(null, result), (error) => callback(error));
+  }
+
+  supportsSubscriptions(): boolean {
+    return false;
+  }
+
+  disconnect() {
+  }
+
+  async dispatch(payload: JsonRpcPayload | JsonRpcPayload[]): Promise<any> {
+    await this.checkPreferred();
+
+    const errors: string[] = [];
+    const methods = (Array.isArray(payload) ? payload : [payload]).map(({method}) => method).join(',');
+
+    for (let attempt = 0; attempt < this.urls.length; attempt++) {
+      const index = this.active;
+
+      try {
+        const response = await this.post(index, payload);
+        this.recordBroadcasts(payload, response);
+        return response;
+      } catch (e) {
+        if (!(e instanceof ProviderError)) {
+          throw e;
+        }
+
+        const provider = describeProvider(this.urls[index]);
+        console.warn(`Provider ${provider} failed ${methods}: ${e.message}`);
+        metrics.providerErrors.inc({...this.labels, provider});
+        errors.push(`${provider} (${e.message})`);
+
+        if (!await this.failover(index)) {
+          break;
+        }
+      }
+    }
+
+    throw new ProviderError(`All providers failed ${methods}: ${errors.join('; ')}`);
+  }
+
+  async post(index: number, payload: JsonRpcPayload | JsonRpcPayload[]): Promise<any> {
+    let response;
+    try {
+      response = await withTimeout(this.fetchFn(this.urls[index], {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(payload)
+      }), this.timeout, `Timed out after ${this.timeout}ms`);
+    } catch (e) {
+      throw new ProviderError(e.message);
+    }
+
+    if (response.status >= 500 || response.status === 429) {
+      throw new ProviderError(`HTTP ${response.status}`);
+    }
+
+    try {
+      return await response.json();
+    } catch (e) {
+      throw new ProviderError(`Invalid JSON response: ${e.message}`);
+    }
+  }
+
+  async isHealthy(index: number): Promise<boolean> {
+    try {
+      const {result} = await this.post(index, {jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: []});
+      return result !== undefined;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Moves on from a failing endpoint to the next healthy one in order, returning whether there was one
+  async failover(failed: number): Promise<boolean> {
+    for (let offset = 1; offset < this.urls.length; offset++) {
+      const candidate = (failed + offset) % this.urls.length;
+
+      if (await this.isHealthy(candidate)) {
+        await this.switchTo(candidate);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Returns to an endpoint preferred to the current one, once it is healthy again
+  async checkPreferred() {
+    const now = Date.now();
+    if (this.active === 0 || now - this.lastHealthCheck < this.healthCheckInterval) {
+      return;
+    }
+
+    this.lastHealthCheck = now;
+    for (let index = 0; index < this.active; index++) {
+      if (await this.isHealthy(index)) {
+        await this.switchTo(index);
+        return;
+      }
+    }
+  }
+
+  async switchTo(index: number) {
+    const from = describeProvider(this.urls[this.active]);
+    const to = describeProvider(this.urls[index]);
+
+    console.warn(`Switching provider from ${from} to ${to}`);
+    metrics.providerSwitches.inc({...this.labels, from, to});
+    metrics.activeProvider.set(this.labels, index);
+
+    this.active = index;
+    this.lastHealthCheck = Date.now();
+    await this.rebroadcast();
+  }
+
+  recordBroadcasts(payload: JsonRpcPayload | JsonRpcPayload[], response: any) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const responses = Array.isArray(response) ? response : [response];
+    const now = Date.now();
+
+    this.broadcasts = this.broadcasts.filter(({sentAt}) => now - sentAt < REBROADCAST_WINDOW);
+    payloads.forEach(({method, params, id}) => {
+      const sent = responses.find((r) => r && r.id === id);
+      if (method === 'eth_sendRawTransaction' && params && sent && sent.error === undefined) {
+        this.broadcasts.push({raw: params[0], sentAt: now});
+      }
+    });
+  }
+
+  // Sends recent transactions to the new endpoint, whose mempool may never have heard of them. Those it
+  // already knows, or which were mined, are refused harmlessly.
+  async rebroadcast() {
+    const provider = describeProvider(this.urls[this.active]);
+
+    for (const {raw} of this.broadcasts) {
+      try {
+        const {error} = await this.post(this.active, {jsonrpc: '2.0', id: 1, method: 'eth_sendRawTransaction', params: [raw]});
+        console.log(`Rebroadcast transaction to ${provider}${error ? `: ${error.message}` : ''}`);
+      } catch (e) {
+        console.warn(`Could not rebroadcast transaction to ${provider}: ${e.message}`);
+      }
+    }
+  }
+}
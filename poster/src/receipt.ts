@@ -0,0 +1,135 @@
+import Web3 from 'web3';
+import { Log, TransactionReceipt } from 'web3-core';
+import { AbiInput } from 'web3-utils';
+import { Labels, metrics } from './metrics';
+
+// Events of the open oracle data contract, and of the anchored view
+const EVENTS: {[name: string]: AbiInput[]} = {
+  Write: [
+    {name: 'source', type: 'address', indexed: true},
+    {name: 'key', type: 'string'},
+    {name: 'timestamp', type: 'uint64'},
+    {name: 'value', type: 'uint64'}
+  ],
+  NotWritten: [
+    {name: 'priorTimestamp', type: 'uint64'},
+    {name: 'messageTimestamp', type: 'uint256'},
+    {name: 'blockTimestamp', type: 'uint256'}
+  ],
+  PriceUpdated: [
+    {name: 'symbol', type: 'string'},
+    {name: 'price', type: 'uint256'}
+  ],
+  PriceGuarded: [
+    {name: 'symbol', type: 'string'},
+    {name: 'reporter', type: 'uint256'},
+    {name: 'anchor', type: 'uint256'}
+  ],
+  AnchorPriceUpdated: [
+    {name: 'symbol', type: 'string'},
+    {name: 'anchorPrice', type: 'uint256'},
+    {name: 'oldTimestamp', type: 'uint256'},
+    {name: 'newTimestamp', type: 'uint256'}
+  ]
+};
+
+export type OutcomeStatus = 'stored' | 'guarded' | 'not-written' | 'unknown';
+
+export interface SymbolOutcome {
+  symbol: string
+  status: OutcomeStatus
+  // `stored`: the price now stored in the view
+  price?: number
+  // `guarded`: the reporter price which was refused, and the anchor price it was too far from
+  reporterPrice?: number
+  anchorPrice?: number
+  // `not-written`: why the data contract refused the message
+  priorTimestamp?: number
+  messageTimestamp?: number
+  blockTimestamp?: number
+}
+
+interface DecodedEvent {
+  name: string
+  values: {[name: string]: string}
+}
+
+export function decodeLogs(logs: Log[], web3: Web3): DecodedEvent[] {
+  const signatures = Object.entries(EVENTS).map(([name, inputs]): [string, string] => {
+    return [web3.eth.abi.encodeEventSignature(`${name}(${inputs.map(({type}) => type).join(',')})`), name];
+  });
+
+  return logs.flatMap((log) => {
+    const match = signatures.find(([signature]) => signature === log.topics[0]);
+    if (!match) {
+      return [];
+    }
+
+    const [, name] = match;
+    return [{name, values: web3.eth.abi.decodeLog(EVENTS[name], log.data, log.topics.slice(1))}];
+  });
+}
+
+// Works out what happened to each posted symbol. The data contract emits a `Write` or `NotWritten` for
+// each message in the order they were posted, and the view a `PriceUpdated` or `PriceGuarded` per symbol.
+// `symbols` are any posted without a message.
+export function receiptOutcomes(receipt: TransactionReceipt, feedItems: OpenPriceFeedItem[], web3: Web3, symbols: string[] = []): SymbolOutcome[] {
+  const events = decodeLogs(receipt.logs, web3);
+  const writes = events.filter(({name}) => name === 'Write' || name === 'NotWritten');
+  const postedSymbols = [...new Set([...feedItems.map(({symbol}) => symbol), ...symbols].map((symbol) => symbol.toUpperCase()))];
+  const byName = (name: string, symbol: string) => events.find((event) => event.name === name && event.values.symbol === symbol);
+
+  return postedSymbols.map((symbol): SymbolOutcome => {
+    const symbolWrites = writes.filter((_, i) => feedItems[i] && feedItems[i].symbol.toUpperCase() === symbol);
+    const guarded = byName('PriceGuarded', symbol);
+    const updated = byName('PriceUpdated', symbol);
+    const anchor = byName('AnchorPriceUpdated', symbol);
+    const notWritten = symbolWrites.length > 0 && symbolWrites.every(({name}) => name === 'NotWritten') ? symbolWrites[0] : undefined;
+
+    if (guarded) {
+      return {
+        symbol,
+        status: 'guarded',
+        reporterPrice: Number(guarded.values.reporter) / 1e6,
+        anchorPrice: Number(guarded.values.anchor) / 1e6
+      };
+    } else if (notWritten) {
+      return {
+        symbol,
+        status: 'not-written',
+        priorTimestamp: Number(notWritten.values.priorTimestamp),
+        messageTimestamp: Number(notWritten.values.messageTimestamp),
+        blockTimestamp: Number(notWritten.values.blockTimestamp)
+      };
+    } else if (updated) {
+      return {
+        symbol,
+        status: 'stored',
+        price: Number(updated.values.price) / 1e6,
+        ...(anchor ? {anchorPrice: Number(anchor.values.anchorPrice) / 1e6} : {})
+      };
+    } else {
+      return {symbol, status: 'unknown'};
+    }
+  });
+}
+
+export function reportOutcomes(outcomes: SymbolOutcome[], labels: Labels = {}) {
+  outcomes.forEach((outcome) => {
+    metrics.postOutcomes.inc({...labels, symbol: outcome.symbol, outcome: outcome.status});
+
+    switch (outcome.status) {
+      case 'stored':
+        console.log(`Stored ${outcome.symbol}: price=${outcome.price}${outcome.anchorPrice !== undefined ? `, anchor=${outcome.anchorPrice}` : ''}`);
+        break;
+      case 'guarded':
+        console.warn(`Guarded ${outcome.symbol} by the anchor: reporter=${outcome.reporterPrice}, anchor=${outcome.anchorPrice}`);
+        break;
+      case 'not-written':
+        console.warn(`Not written ${outcome.symbol}: prior_timestamp=${outcome.priorTimestamp}, message_timestamp=${outcome.messageTimestamp}, block_timestamp=${outcome.blockTimestamp}`);
+        break;
+      default:
+        console.warn(`Unknown outcome for ${outcome.symbol}, the receipt has no events for it`);
+    }
+  });
+}
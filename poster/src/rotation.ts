@@ -0,0 +1,117 @@
+import Web3 from 'web3';
+import { TransactionConfig, TransactionReceipt } from 'web3-core';
+import { TransactionFees } from './fees';
+import { postWithRetries } from './post_with_retries';
+import { Signer } from './signer';
+import { encode, read, recoverSource } from './util';
+
+// Invalidating a compromised reporter: the reporter signs a `rotate` message, which anyone may submit to
+// `UniswapAnchoredView.invalidateReporter`, after which the view only stores its Uniswap anchor prices.
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export interface SignedRotation {
+  message: string
+  signature: string
+  // The reporter which signed the message, and so the one it invalidates
+  signatory: string
+}
+
+// `encodeRotationMessage` of the reporter SDK
+export function encodeRotationMessage(rotationTarget: string, web3: Web3): string {
+  return web3.eth.abi.encodeParameters(['string', 'address'], ['rotate', rotationTarget]);
+}
+
+// Signs the way the reporter SDK's `sign` does, so that `OpenOracleData.source` recovers the reporter
+export function signRotation(reporterKey: string, web3: Web3, rotationTarget: string = ZERO_ADDRESS): SignedRotation {
+  const message = encodeRotationMessage(rotationTarget, web3);
+  const {r, s, v} = web3.eth.accounts.sign(web3.utils.keccak256(message), reporterKey);
+  const signature = web3.eth.abi.encodeParameters(['bytes32', 'bytes32', 'uint8'], [r, s, v]);
+
+  return {message, signature, signatory: recoverSource(message, signature, web3)};
+}
+
+// Checks a rotation signed elsewhere (e.g. offline) is a `rotate` message signed by who it claims
+export function checkRotation(rotation: SignedRotation, web3: Web3) {
+  const {'0': kind} = web3.eth.abi.decodeParameters(['string', 'address'], rotation.message);
+  if (kind !== 'rotate') {
+    throw new Error(`Expected a \`rotate\` message, got \`${kind}\``);
+  }
+
+  const signatory = recoverSource(rotation.message, rotation.signature, web3);
+  if (signatory.toLowerCase() !== rotation.signatory.toLowerCase()) {
+    throw new Error(`Rotation was signed by ${signatory}, not ${rotation.signatory}`);
+  }
+}
+
+export interface ViewReporter {
+  reporter: string
+  reporterInvalidated: boolean
+}
+
+export async function readViewReporter(viewAddress: string, web3: Web3): Promise<ViewReporter> {
+  return {
+    reporter: await read(viewAddress, 'reporter()', [], 'address', web3),
+    reporterInvalidated: await read(viewAddress, 'reporterInvalidated()', [], 'bool', web3)
+  };
+}
+
+// Whether the view has invalidated its reporter, and so ignores reporter prices. Views which can't say,
+// reverting or returning nothing for not being a `UniswapAnchoredView`, are taken to trust their reporter.
+// Any other error, such as the provider being down, fails the run rather than hiding an invalidation.
+export async function isReporterInvalidated(viewAddress: string, web3: Web3): Promise<boolean> {
+  let result: string;
+  try {
+    result = await web3.eth.call({to: viewAddress, data: encode('reporterInvalidated()', [])});
+  } catch (e) {
+    if (!/revert/i.test(e.message)) {
+      throw e;
+    }
+    result = '0x';
+  }
+
+  if (result === '0x') {
+    console.warn(`View ${viewAddress} has no \`reporterInvalidated()\`, taking it as false`);
+    return false;
+  }
+
+  return <any>web3.eth.abi.decodeParameter('bool', result);
+}
+
+// Submits the rotation to a view, then checks the view really did invalidate its reporter. Views which
+// already have are left alone, and views with a different reporter are refused before spending any gas.
+export async function invalidateReporter(
+    viewAddress: string,
+    rotation: SignedRotation,
+    signer: Signer,
+    gas: number,
+    fees: TransactionFees,
+    web3: Web3): Promise<TransactionReceipt | undefined> {
+  const before = await readViewReporter(viewAddress, web3);
+
+  if (before.reporterInvalidated) {
+    console.log(`The reporter of view ${viewAddress} is already invalidated`);
+    return undefined;
+  }
+  if (before.reporter.toLowerCase() !== rotation.signatory.toLowerCase()) {
+    throw new Error(`View ${viewAddress} has reporter ${before.reporter}, but the rotation was signed by ${rotation.signatory}`);
+  }
+
+  const transaction = <TransactionConfig>{
+    data: encode('invalidateReporter(bytes,bytes)', [rotation.message, rotation.signature]),
+    to: viewAddress,
+    gas,
+    ...fees
+  };
+
+  console.log(`Invalidating reporter ${before.reporter} of view ${viewAddress}...`);
+  const receipt = await postWithRetries(transaction, signer, web3);
+
+  const after = await readViewReporter(viewAddress, web3);
+  if (!after.reporterInvalidated) {
+    throw new Error(`View ${viewAddress} still has \`reporterInvalidated() == false\` after ${receipt.transactionHash}`);
+  }
+
+  console.log(`Reporter of view ${viewAddress} invalidated in ${receipt.transactionHash}`);
+  return receipt;
+}
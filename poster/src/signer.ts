@@ -0,0 +1,165 @@
+import * as fs from 'fs';
+import Web3 from 'web3';
+import Utils from 'web3-utils';
+import fetch from 'node-fetch';
+import { TransactionConfig } from 'web3-core';
+
+// Signs the poster's transactions, so that posting doesn't need to know where the key is kept
+
+export interface Signer {
+  address: string
+  // Returns the signed, RLP-encoded transaction ready for `eth_sendRawTransaction`
+  signTransaction(transaction: TransactionConfig, web3: Web3): Promise<string>
+}
+
+// Signing for this hardfork leaves out the chain id, i.e. signs without EIP-155 replay protection
+export const PRE_EIP155_HARDFORK = 'tangerineWhistle';
+
+export interface SignerOptions {
+  // A raw private key
+  key?: string
+  // An encrypted JSON keystore file, and its password
+  keystore?: string
+  keystorePassword?: string
+  // A JSON-RPC endpoint which signs with `eth_signTransaction`, and optionally which of its accounts to use
+  remoteUrl?: string
+  address?: string
+  // A dry run never signs, so the poster account may be given by its `address` alone
+  dryRun?: boolean
+}
+
+export function ensureHex(val: string, type: string): string {
+  if (Utils.isHexStrict(val)) {
+    return val;
+  }
+
+  const val0x = `0x${val}`;
+  if (Utils.isHexStrict(val0x)) {
+    return val0x;
+  }
+
+  throw new Error(`Invalid hex for ${type}: got \`${val}\``);
+}
+
+export function privateKeySigner(key: string, web3: Web3): Signer {
+  const privateKey = ensureHex(key, 'private key');
+
+  return {
+    address: web3.eth.accounts.privateKeyToAccount(privateKey).address,
+    signTransaction: async (transaction, web3) => {
+      const signedTransaction = await web3.eth.accounts.signTransaction(transaction, privateKey);
+      return signedTransaction.rawTransaction || '';
+    }
+  };
+}
+
+export function keystoreSigner(keystore: string, password: string, web3: Web3): Signer {
+  const json = JSON.parse(fs.readFileSync(keystore, 'utf8'));
+  let account;
+
+  try {
+    account = web3.eth.accounts.decrypt(json, password);
+  } catch (e) {
+    throw new Error(`Could not decrypt keystore ${keystore}: ${e.message}`);
+  }
+
+  return privateKeySigner(account.privateKey, web3);
+}
+
+async function rpc(url: string, method: string, params: any[], fetchFn): Promise<any> {
+  const response = await fetchFn(url, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({jsonrpc: '2.0', id: 1, method, params})
+  });
+  const {result, error} = await response.json();
+
+  if (error) {
+    throw new Error(`Remote signer ${url} failed ${method}: ${error.message || JSON.stringify(error)}`);
+  }
+
+  return result;
+}
+
+// Fills in what a remote signer can't look up for itself, and hex-encodes quantities as JSON-RPC expects
+async function remoteTransaction(transaction: TransactionConfig, from: string, web3: Web3): Promise<object> {
+  const hex = (value) => value === undefined ? undefined : Utils.numberToHex(<any>value);
+  const feeless = transaction.gasPrice === undefined && transaction.maxFeePerGas === undefined;
+  const unprotected = transaction.common !== undefined && transaction.common.hardfork === PRE_EIP155_HARDFORK;
+
+  return {
+    from,
+    to: transaction.to,
+    data: transaction.data,
+    value: hex(transaction.value || 0),
+    gas: hex(transaction.gas),
+    gasPrice: hex(feeless ? await web3.eth.getGasPrice() : transaction.gasPrice),
+    maxFeePerGas: hex(transaction.maxFeePerGas),
+    maxPriorityFeePerGas: hex(transaction.maxPriorityFeePerGas),
+    nonce: hex(transaction.nonce !== undefined ? transaction.nonce : await web3.eth.getTransactionCount(from, 'pending')),
+    chainId: unprotected ? undefined : hex(transaction.chainId !== undefined ? transaction.chainId : await web3.eth.getChainId())
+  };
+}
+
+// Stands in for the poster account in a dry run, which reads its balance but never signs
+export function dryRunSigner(address: string): Signer {
+  return {
+    address: Utils.toChecksumAddress(address),
+    signTransaction: async () => {
+      throw new Error('A dry run never signs, but was asked to');
+    }
+  };
+}
+
+// Signs with a remote JSON-RPC signer (e.g. Clef or EthSigner), so the key never has to be on the poster's host.
+// Without an `address`, the signer's first account is used.
+export async function remoteSigner(url: string, address: string | undefined, fetchFn = fetch): Promise<Signer> {
+  if (address === undefined) {
+    const accounts = await rpc(url, 'eth_accounts', [], fetchFn);
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new Error(`Remote signer ${url} has no accounts`);
+    }
+    address = <string>accounts[0];
+  }
+
+  const from = Utils.toChecksumAddress(address);
+
+  return {
+    address: from,
+    signTransaction: async (transaction, web3) => {
+      const result = await rpc(url, 'eth_signTransaction', [await remoteTransaction(transaction, from, web3)], fetchFn);
+
+      // Geth and Clef answer with `{raw, tx}`, other signers with the raw transaction alone
+      return typeof result === 'string' ? result : result.raw;
+    }
+  };
+}
+
+export async function loadSigner(options: SignerOptions, web3: Web3, fetchFn = fetch): Promise<Signer> {
+  const {key, keystore, keystorePassword, remoteUrl, address, dryRun} = options;
+  const given = [key, keystore, remoteUrl].filter((option) => option !== undefined);
+
+  if (dryRun && given.length === 0 && address !== undefined) {
+    return dryRunSigner(address);
+  }
+
+  if (given.length !== 1) {
+    throw new Error(`Provide exactly one of a poster key, a keystore or a remote signer${dryRun ? ', or a poster address for a dry run' : ''}`);
+  }
+
+  if (keystore !== undefined) {
+    if (keystorePassword === undefined) {
+      throw new Error(`Keystore ${keystore} needs a password`);
+    }
+    return keystoreSigner(keystore, keystorePassword, web3);
+  } else if (remoteUrl !== undefined) {
+    return await remoteSigner(remoteUrl, address, fetchFn);
+  } else {
+    return privateKeySigner(<string>key, web3);
+  }
+}
+
+// Callers may pass a raw private key wherever a signer is expected
+export function toSigner(signer: Signer | string, web3: Web3): Signer {
+  return typeof signer === 'string' ? privateKeySigner(signer, web3) : signer;
+}
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { SourceAdapter } from './registry';
 
 export interface CoinbaseConfig {
   source: string
@@ -36,3 +37,18 @@ export async function readCoinbasePayload(config: CoinbaseConfig, fetchFn) {
     headers: headers
   });
 }
+
+export const coinbaseAdapter: SourceAdapter = {
+  name: 'coinbase',
+  schema: {
+    endpoint: {type: 'string'},
+    api_key_id: {type: 'string'},
+    api_secret: {type: 'string'},
+    api_passphrase: {type: 'string'}
+  },
+  fetch: async (config, fetchFn) => {
+    const response = await readCoinbasePayload(<CoinbaseConfig>config, fetchFn);
+
+    return await response.json();
+  }
+};
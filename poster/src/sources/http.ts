@@ -0,0 +1,58 @@
+import { SourceAdapter } from './registry';
+import { readJsonPath } from '../util';
+
+// Fills in `{{env.NAME}}` with the environment variable NAME and `{{timestamp}}` with the current unix time,
+// so that secrets can stay out of the source config
+export function renderTemplate(template: string, env: {[name: string]: string | undefined} = process.env, now: number = Date.now() / 1000): string {
+  return template.replace(/{{\s*([\w.]+)\s*}}/g, (_, name: string) => {
+    if (name === 'timestamp') {
+      return String(Math.floor(now));
+    }
+
+    if (name.startsWith('env.')) {
+      const value = env[name.slice('env.'.length)];
+      if (value === undefined) {
+        throw new Error(`Environment variable \`${name.slice('env.'.length)}\` is not set for template \`${template}\``);
+      }
+      return value;
+    }
+
+    throw new Error(`Unknown template variable \`${name}\` in \`${template}\`, expected \`timestamp\` or \`env.<NAME>\``);
+  });
+}
+
+// A generic authenticated HTTP source, e.g.
+//   {"source": "http", "endpoint": "https://example.com/oracle", "headers": {"Authorization": "Bearer {{env.API_TOKEN}}"}}
+// `json_path` picks the payload out of a response which wraps it, e.g. `data.oracle`.
+export const httpAdapter: SourceAdapter = {
+  name: 'http',
+  schema: {
+    endpoint: {type: 'string'},
+    method: {type: 'string', optional: true},
+    headers: {type: 'map', optional: true},
+    body: {type: 'string', optional: true},
+    json_path: {type: 'string', optional: true}
+  },
+  fetch: async (config, fetchFn) => {
+    const headers = Object.entries(config.headers || {}).reduce((acc, [name, template]) => {
+      return {...acc, [name]: renderTemplate(<string>template)};
+    }, {});
+
+    const response = await fetchFn(renderTemplate(config.endpoint), {
+      method: config.method || 'GET',
+      headers,
+      body: config.body !== undefined ? renderTemplate(config.body) : undefined
+    });
+
+    return await response.json();
+  },
+  normalize: (raw, config) => {
+    const payload = config.json_path ? readJsonPath(raw, config.json_path) : raw;
+
+    if (!payload || !Array.isArray(payload.messages) || !Array.isArray(payload.signatures)) {
+      throw new Error(`No open oracle payload${config.json_path ? ` at \`${config.json_path}\`` : ''} from ${config.endpoint}`);
+    }
+
+    return payload;
+  }
+};
@@ -0,0 +1,107 @@
+import * as path from 'path';
+import { coinbaseAdapter } from './coinbase';
+import { httpAdapter } from './http';
+import { urlAdapter } from './url';
+
+export interface SourceConfig {
+  // The name of the adapter which reads this source
+  source: string
+  [field: string]: any
+}
+
+export interface SourceField {
+  type: 'string' | 'number' | 'map'
+  optional?: boolean
+}
+
+export interface SourceAdapter {
+  name: string
+  // The fields this adapter expects in its source config, besides `source`
+  schema: {[field: string]: SourceField}
+  // Fetches the raw response body of the source
+  fetch: (config: SourceConfig, fetchFn) => Promise<any>
+  // Turns the raw response body into an open oracle payload, which is passed through as is if unset
+  normalize?: (raw: any, config: SourceConfig) => OpenPriceFeedPayload
+}
+
+const adapters: Map<string, SourceAdapter> = new Map();
+
+export function registerSourceAdapter(adapter: SourceAdapter) {
+  if (!adapter || typeof adapter.name !== 'string' || typeof adapter.fetch !== 'function') {
+    throw new TypeError(`A source adapter requires a \`name\` and a \`fetch\` function`);
+  }
+  if (adapters.has(adapter.name)) {
+    throw new Error(`Source adapter \`${adapter.name}\` is already registered`);
+  }
+
+  adapters.set(adapter.name, {...adapter, schema: adapter.schema || {}});
+}
+
+// Registers the adapters exported by a module, either as its default export, as the module itself, or as a list
+export function registerSourceAdapterModule(modulePath: string) {
+  const exported = require(path.resolve(modulePath));
+  const module = exported && exported.default ? exported.default : exported;
+
+  (Array.isArray(module) ? module : [module]).forEach(registerSourceAdapter);
+}
+
+export function getSourceAdapter(name: string): SourceAdapter {
+  const adapter = adapters.get(name);
+
+  if (!adapter) {
+    throw new Error(`Unknown source \`${name}\`, expected one of ${[...adapters.keys()].join(', ')}`);
+  }
+
+  return adapter;
+}
+
+// Parses a source as given on the command line: either a bare URL or a JSON-encoded source config,
+// which is checked against the schema of its adapter
+export function parseSource(sourceRaw: string): SourceConfig {
+  if (!sourceRaw.includes('{')) {
+    return {source: 'url', endpoint: sourceRaw};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(sourceRaw);
+  } catch (e) {
+    console.error(`Error parsing source input: ${sourceRaw}`);
+    throw e;
+  }
+  if (!config['source']) {
+    throw new Error(`Source must include \`source\` field for ${sourceRaw}`);
+  }
+  validateSource(getSourceAdapter(config['source']), config);
+
+  return config;
+}
+
+export function validateSource(adapter: SourceAdapter, config: SourceConfig) {
+  const errors = Object.entries(adapter.schema).flatMap(([field, {type, optional}]) => {
+    const value = config[field];
+
+    if (value === undefined) {
+      return optional ? [] : [`missing \`${field}\``];
+    }
+    if (type === 'map') {
+      const isMap = typeof value === 'object' && value !== null && !Array.isArray(value) && Object.values(value).every((v) => typeof v === 'string');
+      return isMap ? [] : [`\`${field}\` must be a map of strings`];
+    }
+
+    return typeof value === type ? [] : [`\`${field}\` must be a ${type}`];
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid \`${adapter.name}\` source: ${errors.join(', ')}`);
+  }
+}
+
+export async function fetchSource(config: SourceConfig, fetchFn): Promise<OpenPriceFeedPayload> {
+  const adapter = getSourceAdapter(config.source);
+  const raw = await adapter.fetch(config, fetchFn);
+
+  return adapter.normalize ? adapter.normalize(raw, config) : raw;
+}
+
+[urlAdapter, coinbaseAdapter, httpAdapter].forEach(registerSourceAdapter);
@@ -0,0 +1,14 @@
+import { SourceAdapter } from './registry';
+
+// A plain URL serving an open oracle payload as JSON, which is what a bare URL source reads
+export const urlAdapter: SourceAdapter = {
+  name: 'url',
+  schema: {
+    endpoint: {type: 'string'}
+  },
+  fetch: async (config, fetchFn) => {
+    const response = await fetchFn(config.endpoint);
+
+    return await response.json();
+  }
+};
@@ -0,0 +1,204 @@
+import * as path from 'path';
+import Web3 from 'web3';
+import { TransactionReceipt } from 'web3-core';
+import { PosterOptions, PosterTarget, fetchFees, targetLabel } from './poster';
+import { cancelNonce } from './post_with_retries';
+import { FeeMode } from './fees';
+import { buildGasPriceStrategy } from './gas_price';
+import { SpendTracker } from './budget';
+import { parseJsonOption, targetOptions } from './config';
+import { AnchorCheckMode } from './anchor';
+import { Signer, loadSigner } from './signer';
+import { FailoverProvider } from './provider';
+import { NetworkProfile, checkChainId, configureWeb3, defaultNetwork, getNetworkProfile, networkSigner } from './network';
+
+// Builds what the poster posts with from the parsed options, keyed by their long names
+
+// A provider on the chain of the network profile, and the account which pays for posts through it
+interface Connection {
+  network: NetworkProfile
+  web3: Web3
+  signer: Signer
+}
+
+// Each target tracks its own spends, so refuse targets which would write over each other's spend file,
+// or which would each be allowed the whole of the top-level daily budget
+export function checkTargetSpends(parsed: object, targets: object[]) {
+  const names = targets.map((target, i) => target['name'] || `targets[${i}]`);
+  const files: {[file: string]: string} = {};
+
+  targets.forEach((target, i) => {
+    const file = targetOptions(parsed, target)['spend-file'];
+    if (file === undefined) {
+      return;
+    }
+
+    const resolved = path.resolve(file);
+    if (files[resolved] !== undefined) {
+      throw new TypeError(`Targets ${files[resolved]} and ${names[i]} share the spend file ${file}, give each target its own spend-file`);
+    }
+    files[resolved] = names[i];
+  });
+
+  const inheriting = names.filter((_, i) => targets[i]['daily-budget'] === undefined);
+  if (parsed['daily-budget'] !== undefined && inheriting.length > 1) {
+    throw new TypeError(`The top-level daily-budget would be allowed to each of targets ${inheriting.join(', ')}, set a daily-budget on each target instead`);
+  }
+}
+
+// Connects to the provider (and its fallbacks), refusing one on the wrong chain, and loads the signer
+async function connect(parsed: object, label: string, metricsTarget?: string): Promise<Connection> {
+  const web3_provider = parsed['web3-provider'];
+  const network_name = parsed['network'] || defaultNetwork(web3_provider);
+  let network: NetworkProfile;
+  try {
+    network = getNetworkProfile(network_name, {
+      chainId: parsed['chain-id'],
+      confirmations: parsed['confirmations'],
+      pollingTimeout: parsed['timeout'],
+      eip155: parsed['eip155'],
+      feeMode: <FeeMode>parsed['fee-mode'],
+      gasStrategy: parsed['gas-strategy'] || (parsed['gas-price'] ? 'static' : undefined)
+    });
+  } catch (e) {
+    throw new TypeError(`${label}${e.message}`);
+  }
+
+  // posting promise will reject and retry once with higher gas after the network's polling timeout
+  const fallback_providers = <string[]>(parsed['fallback-provider'] || []);
+  const web3 = new Web3(fallback_providers.length > 0 ?
+    <any>new FailoverProvider([web3_provider, ...fallback_providers], {timeout: parsed['provider-timeout'] * 1000, target: metricsTarget}) :
+    web3_provider);
+  configureWeb3(network, web3);
+  await checkChainId(network_name, network, web3);
+  console.log(`${label}Posting to network ${network_name}${network.chainId !== undefined ? ` (chain ${network.chainId})` : ''}`);
+
+  let signer: Signer;
+  try {
+    signer = networkSigner(await loadSigner({
+      key: parsed['poster-key'],
+      keystore: parsed['poster-keystore'],
+      keystorePassword: parsed['poster-keystore-password'],
+      remoteUrl: parsed['poster-signer'],
+      address: parsed['poster-address'],
+      dryRun: parsed['dry-run']
+    }, web3), network);
+  } catch (e) {
+    throw new TypeError(`${label}${e.message}`);
+  }
+
+  return {network, web3, signer};
+}
+
+// How posts are priced: the network's fee mode, the gas price strategy and its caps
+function feeOptions(parsed: object, network: NetworkProfile): PosterOptions {
+  return {
+    feeMode: network.feeMode,
+    feePercentile: parsed['fee-percentile'],
+    gasPriceStrategy: buildGasPriceStrategy({
+      strategy: network.gasStrategy,
+      gasPrice: parsed['gas-price'],
+      percentile: parsed['fee-percentile'],
+      url: parsed['gas-price-url'],
+      jsonPath: parsed['gas-price-json-path'],
+      unit: <'wei' | 'gwei'>parsed['gas-price-unit']
+    }),
+    gasPriceCaps: {floor: parsed['min-gas-price'], ceiling: parsed['max-gas-price']}
+  };
+}
+
+// Cancels a stuck nonce of the poster account, which only takes the provider, network, signer and fee options
+export async function cancelStuckNonce(parsed: object, nonce: number): Promise<TransactionReceipt | undefined> {
+  const {network, web3, signer} = await connect(parsed, '');
+  const options = feeOptions(parsed, network);
+  const fees = await fetchFees(parsed['gas-price'], options, web3);
+
+  return await cancelNonce(nonce, fees, signer, web3, options.gasPriceCaps);
+}
+
+// Builds a target from its options
+export async function buildTarget(parsed: object): Promise<PosterTarget> {
+  const name = parsed['name'];
+  const view_address = parsed['view-address'];
+  const view_function = parsed['view-function'];
+  const gas_limit = parsed['gas-limit'];
+  const gas_price = parsed['gas-price'];
+  const label = name ? `${name}: ` : '';
+  const spend_tracker = new SpendTracker({
+    maxTxFee: parsed['max-tx-fee'] !== undefined ? Web3.utils.toWei(String(parsed['max-tx-fee'])) : undefined,
+    dailyBudget: parsed['daily-budget'] !== undefined ? Web3.utils.toWei(String(parsed['daily-budget'])) : undefined
+  }, parsed['spend-file']);
+  const reporters = <string[]>parsed['reporter'];
+  const assets = <string[]>parsed['asset'];
+  const dry_run = parsed['dry-run'];
+
+  ['view-address', 'price-deltas'].forEach((option) => {
+    if (parsed[option] === undefined) {
+      throw new TypeError(`${label}Missing required argument: ${option}`);
+    }
+  });
+
+  const window_keeper = parsed['window-keeper'];
+  if (window_keeper !== undefined && !(window_keeper >= 1)) {
+    throw new TypeError(`${label}window-keeper must be at least 1, since an anchor window only moves once it is an anchor period old`);
+  }
+
+  const price_deltas = parseJsonOption(parsed['price-deltas']);
+  const max_ages = parseJsonOption(parsed['max-ages']);
+
+  // check that price deltas are set up for all assets
+  assets.forEach(asset => {
+    if (price_deltas[asset] == undefined) {
+      throw new TypeError(`${label}For each asset price delta should be provided, ${asset} asset is not properly configured`)
+    }
+  });
+
+  console.log(`${label}Posting with price deltas = `, price_deltas);
+  console.log(`${label}Posting with max ages = `, max_ages);
+
+  // parameters only for testnets that mock uniswap mainnet
+  const mocked_world = parsed['testnet-world'];
+  const testnet_pairs = parseJsonOption(parsed['testnet-uniswap-pairs'] || '{}');
+  const mainnet_pairs = parseJsonOption(parsed['mainnet-uniswap-pairs'] || '{}');
+  console.log(`${label}Configuring using testnet and mainnet uniswap pairs:`, testnet_pairs, mainnet_pairs);
+  const pairs = {testnet: {}, mainnet: {}};
+  if (mocked_world) {
+    assets.forEach(asset => {
+      if (!testnet_pairs[asset] || !mainnet_pairs[asset]) {
+        throw new TypeError(`${label}For each asset mainnet and testnet pairs should be provided, ${asset} asset is not properly configured`)
+      }
+      pairs['testnet'][asset] = testnet_pairs[asset];
+      pairs['mainnet'][asset] = mainnet_pairs[asset];
+    });
+  }
+
+  const {network, web3, signer} = await connect(parsed, label, targetLabel({name, viewAddress: view_address}));
+
+  const poster_options: PosterOptions = {
+    ...feeOptions(parsed, network),
+    maxAges: max_ages,
+    maxMessageAge: parsed['max-message-age'],
+    reporters,
+    spendTracker: spend_tracker,
+    lowBalance: parsed['low-balance'] !== undefined ? Web3.utils.toWei(String(parsed['low-balance'])) : undefined,
+    dryRun: dry_run,
+    anchorCheck: <AnchorCheckMode>parsed['anchor-check'],
+    windowKeeper: window_keeper,
+    gasCeiling: parsed['gas-ceiling'] !== undefined ? parsed['gas-ceiling'] : gas_limit
+  };
+
+  return {
+    name,
+    signer,
+    viewAddress: view_address,
+    functionSig: view_function,
+    gas: gas_limit,
+    gasPrice: gas_price,
+    deltas: price_deltas,
+    assets,
+    mockedWorld: mocked_world,
+    pairs,
+    web3,
+    options: poster_options
+  };
+}
@@ -19,6 +19,18 @@ export function decodeMessage(message: string, web3: Web3): DecodedMessage {
   };
 }
 
+// Recovers the address which signed a reporter message locally, hashing it the same way
+// `OpenOracleData.source` does on-chain: keccak256("\x19Ethereum Signed Message:\n32" ++ keccak256(message))
+export function recoverSource(message: string, signature: string, web3: Web3): string {
+  const {
+    '0': r,
+    '1': s,
+    '2': v
+  } = web3.eth.abi.decodeParameters(['bytes32', 'bytes32', 'uint8'], signature);
+
+  return web3.eth.accounts.recover(web3.utils.keccak256(message), web3.utils.numberToHex(v), r, s);
+}
+
 function encodeFull(sig: string, args: any[]): [string[], string] {
   const types = findTypes(sig);
 
@@ -73,6 +85,65 @@ export async function readMany(address: string, sig: string, args: any[], return
   }
 }
 
+export interface BatchedRead {
+  address: string
+  sig: string
+  args: any[]
+  returns: string[]
+}
+
+// Runs a set of reads as a single JSON-RPC batch request. If the provider can't batch, or the batch
+// fails as a whole, we fall back to issuing each `eth_call` individually.
+export async function readBatch(reads: BatchedRead[], web3: Web3): Promise<any[]> {
+  if (reads.length === 0) {
+    return [];
+  }
+
+  try {
+    return await sendBatch(reads, web3);
+  } catch (e) {
+    console.warn(`Batched read of ${reads.length} call(s) failed, falling back to individual calls: ${e.toString()}`);
+
+    return await Promise.all(reads.map(({address, sig, args, returns}) => readMany(address, sig, args, returns, web3)));
+  }
+}
+
+function sendBatch(reads: BatchedRead[], web3: Web3): Promise<any[]> {
+  return new Promise((resolve, reject) => {
+    const batch = new web3.BatchRequest();
+    const results = new Array(reads.length);
+    let remaining = reads.length;
+    let failed = false;
+
+    reads.forEach(({address, sig, args, returns}, i) => {
+      let [_, callData] = encodeFull(sig, args);
+
+      batch.add((<any>web3.eth.call).request({data: callData, to: address}, 'latest', (err, result) => {
+        if (failed) {
+          return;
+        }
+
+        try {
+          if (err) {
+            throw err;
+          }
+
+          results[i] = (<any>AbiCoder).decodeParameters(returns, result);
+        } catch (e) {
+          failed = true;
+          return reject(e);
+        }
+
+        if (--remaining === 0) {
+          resolve(results);
+        }
+      }));
+    });
+
+    batch.execute();
+  });
+}
+
 // TODO: Swap with ether's own implementation of this
 // e.g. findTypes("postPrices(bytes[],bytes[],string[])")-> ["bytes[]","bytes[]","string[]"]
 export function findTypes(functionSig: string): string[] {
@@ -111,6 +182,15 @@ export function findTypes(functionSig: string): string[] {
   return parseSignature(functionSig).args;
 }
 
+export async function latestBlockTimestamp(web3: Web3): Promise<number> {
+  return Number((await web3.eth.getBlock('latest')).timestamp);
+}
+
+// Reads a dot-separated path such as `average.value` out of parsed JSON, or undefined if any part is missing
+export function readJsonPath(json: any, path: string): any {
+  return path.split('.').reduce((obj, key) => obj === undefined || obj === null ? undefined : obj[key], json);
+}
+
 export function zip<T,U>(arr1: T[], arr2: U[]): [T, U][] {
   return arr1.map((k, i) => [k, arr2[i]])
 }
@@ -127,6 +207,16 @@ export async function asyncFilter<T>(arr: T[], f: ((T) => Promise<boolean>)): Pr
   }, []);
 }
 
+// Rejects with `message` if the promise hasn't settled within `ms` milliseconds
+export function withTimeout<T>(promise: Promise<T>, ms: number, message: string): Promise<T> {
+  let timer;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 export async function allSuccesses<T>(promises: Promise<T>[]): Promise<T[]> {
   let settled = await Promise.allSettled(promises);
 
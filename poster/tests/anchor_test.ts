@@ -0,0 +1,122 @@
+import Web3 from 'web3';
+import { BigNumber } from 'bignumber.js';
+import { checkAnchors, computeAnchorPrice, currentCumulativePrice, fetchKeeperAnchors, fetchStaleWindows } from '../src/anchor';
+import * as util from '../src/util';
+
+const Q112 = new BigNumber(2).pow(112);
+const now = 1600000000;
+const reporter = '0xfCEAdAFab14d46e20144F48824d0C09B1a03F2BC';
+
+// ETH is priced from a USDC/WETH pair (reversed), at $2000
+const ethFraction = new BigNumber(2e12).multipliedBy(Q112).dividedToIntegerBy(1e21);
+// COMP is priced from a COMP/WETH pair, at 0.05 ETH
+const compFraction = new BigNumber(50e18).multipliedBy(Q112).dividedToIntegerBy(1000e18);
+
+const markets = {ETH: '0x0000000000000000000000000000000000000001', COMP: '0x0000000000000000000000000000000000000002'};
+
+interface ViewState {
+  priceSources?: {[symbol: string]: string}
+  storedPrices?: {[symbol: string]: string}
+  // Seconds since each anchor window last moved, 100 unless given
+  windowAges?: {[symbol: string]: number}
+}
+
+// Answers the reads of a view pricing each of the markets (by its reporter, unless given another price source), and of their pairs
+function mockReads(markets: {[symbol: string]: string}, {priceSources = {}, storedPrices = {}, windowAges = {}}: ViewState = {}) {
+  const symbolHashes = Object.fromEntries(Object.keys(markets).map((symbol) => [Web3.utils.soliditySha3({t: 'string', v: symbol}), symbol]));
+
+  jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(now));
+  jest.spyOn(util, 'readBatch').mockImplementation(async (reads) => reads.map(({address, sig, args}) => {
+    const market = Object.keys(markets).find((symbol) => markets[symbol] === address);
+    const fraction = market === 'ETH' ? ethFraction : compFraction;
+
+    switch (sig) {
+      case 'reporter()': return [reporter];
+      case 'reporterInvalidated()': return [false];
+      case 'upperBoundAnchorRatio()': return ['1200000000000000000'];
+      case 'lowerBoundAnchorRatio()': return ['800000000000000000'];
+      case 'anchorPeriod()': return ['1800'];
+      case 'getTokenConfigBySymbol(string)':
+        return ['0x0', '0x0', '0x0', '1000000000000000000', priceSources[args[0]] || '2', '0', markets[args[0]], args[0] === 'ETH'];
+      case 'prices(bytes32)': return [storedPrices[symbolHashes[args[0]]] || '0'];
+      case 'oldObservations(bytes32)': return [String(now - 1000), '0'];
+      case 'newObservations(bytes32)': return [String(now - (windowAges[symbolHashes[args[0]]] || 100)), '0'];
+      case 'price0CumulativeLast()':
+      case 'price1CumulativeLast()': return [fraction.multipliedBy(1000).toFixed()];
+      case 'getReserves()': return ['1', '1', String(now)];
+      default: throw new Error(`Unexpected read ${sig}`);
+    }
+  }));
+}
+
+describe('anchor prices', () => {
+  test('currentCumulativePrice accumulates the current reserves since the last update', () => {
+    const last = new BigNumber(1000);
+
+    expect(currentCumulativePrice(last, last, new BigNumber(1000e18), new BigNumber(50e18), now, now, false)).toEqual(last);
+    expect(currentCumulativePrice(last, last, new BigNumber(1000e18), new BigNumber(50e18), now - 10, now, false).toFixed())
+      .toEqual(compFraction.multipliedBy(10).plus(1000).toFixed());
+    expect(currentCumulativePrice(last, last, new BigNumber(2e12), new BigNumber(1e21), now - 10, now, true).toFixed())
+      .toEqual(ethFraction.multipliedBy(10).plus(1000).toFixed());
+  });
+
+  test('computeAnchorPrice', () => {
+    const eth = {
+      priceSource: 2,
+      baseUnit: new BigNumber(1e18),
+      uniswapMarket: '0x1',
+      isUniswapReversed: true,
+      oldObservation: {timestamp: now - 1000, acc: new BigNumber(0)},
+      newObservation: {timestamp: now - 100, acc: ethFraction.multipliedBy(900)},
+      cumulativePrice: ethFraction.multipliedBy(1000)
+    };
+    const ethPrice = computeAnchorPrice(eth, 1800, new BigNumber(1e18), now);
+    expect(ethPrice.toNumber()).toBeCloseTo(2000e6, -1);
+
+    // Once the new observation is older than the anchor period, it becomes the start of the window
+    expect(computeAnchorPrice({...eth, newObservation: {timestamp: now - 100, acc: new BigNumber(0)}}, 60, new BigNumber(1e18), now).toNumber())
+      .toBeCloseTo(20000e6, -2);
+
+    const comp = {
+      ...eth,
+      isUniswapReversed: false,
+      newObservation: {timestamp: now - 100, acc: compFraction.multipliedBy(900)},
+      cumulativePrice: compFraction.multipliedBy(1000)
+    };
+    expect(computeAnchorPrice(comp, 1800, ethPrice, now).toNumber()).toBeCloseTo(100e6, -1);
+  });
+
+  test('checkAnchors leaves out prices the view would guard', async () => {
+    const web3 = new Web3();
+    mockReads(markets);
+
+    const feedItems = <OpenPriceFeedItem[]>[
+      {symbol: 'ETH', price: 2010, source: reporter},
+      {symbol: 'COMP', price: 150, source: reporter},
+      {symbol: 'COMP', price: 150, source: '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1'}
+    ];
+
+    expect((await checkAnchors(feedItems, '0xview', 'exclude', web3)).map(({symbol}) => symbol)).toEqual(['ETH']);
+    expect(await checkAnchors(feedItems, '0xview', 'flag', web3)).toEqual(feedItems);
+    expect(await checkAnchors(feedItems, '0xview', 'off', web3)).toEqual(feedItems);
+  });
+
+  test('fetchKeeperAnchors recomputes the anchors of reporter-priced symbols', async () => {
+    mockReads({...markets, USDC: '0x0000000000000000000000000000000000000003'}, {priceSources: {USDC: '1'}, storedPrices: {ETH: '1990000000'}});
+
+    const anchors = await fetchKeeperAnchors(['comp', 'ETH', 'USDC'], '0xview', new Web3());
+    expect(anchors.map(({symbol, anchorPrice, storedPrice, windowTimestamp}) => [symbol, anchorPrice.toFixed(), storedPrice.toFixed(), windowTimestamp])).toEqual([
+      ['ETH', '2000000000', '1990000000', now - 100],
+      ['COMP', '100000000', '0', now - 100]
+    ]);
+  });
+
+  test('fetchStaleWindows finds anchor windows older than a multiple of the anchor period', async () => {
+    const usdc = '0x0000000000000000000000000000000000000003';
+    mockReads({...markets, USDC: usdc}, {priceSources: {USDC: '1'}, windowAges: {ETH: 3000, COMP: 3600, USDC: 7200}});
+
+    expect(await fetchStaleWindows(['eth', 'COMP', 'USDC'], '0xview', 2, new Web3())).toEqual(['COMP']);
+    expect(await fetchStaleWindows(['eth', 'COMP', 'USDC'], '0xview', 1.5, new Web3())).toEqual(['ETH', 'COMP']);
+    expect(await fetchStaleWindows([], '0xview', 2, new Web3())).toEqual([]);
+  });
+});
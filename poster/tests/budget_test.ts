@@ -0,0 +1,94 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import Web3 from 'web3';
+import { InsufficientFundsError, SpendLimitError, SpendTracker, checkBalance, maxTransactionFee, receiptFee } from '../src/budget';
+import { postWithRetries } from '../src/post_with_retries';
+
+const receipt = (gasUsed, effectiveGasPrice?) => <any>({transactionHash: '0x1', gasUsed, effectiveGasPrice});
+
+describe('spending guardrails', () => {
+  test('maxTransactionFee and receiptFee', () => {
+    expect(maxTransactionFee({gas: 100_000, gasPrice: 10_000_000_000}).toFixed()).toEqual('1000000000000000');
+    expect(maxTransactionFee({gas: 100_000, maxFeePerGas: 20_000_000_000, maxPriorityFeePerGas: 1}).toFixed()).toEqual('2000000000000000');
+
+    expect(receiptFee(receipt(50_000), {gas: 100_000, gasPrice: 10_000_000_000}).toFixed()).toEqual('500000000000000');
+    expect(receiptFee(receipt(50_000, '0x2540be400'), {gas: 100_000, maxFeePerGas: 20_000_000_000}).toFixed()).toEqual('500000000000000');
+  });
+
+  test('refuses transactions over the max fee per transaction', () => {
+    const tracker = new SpendTracker({maxTxFee: '1000000000000000'});
+
+    expect(() => tracker.check({gas: 100_000, gasPrice: 10_000_000_000})).not.toThrow();
+    expect(() => tracker.check({gas: 100_000, gasPrice: 10_000_000_001})).toThrow(SpendLimitError);
+  });
+
+  test('refuses transactions over the rolling daily budget', () => {
+    const tracker = new SpendTracker({dailyBudget: '1000000000000000'});
+    const now = 1600000000;
+    const transaction = {gas: 100_000, gasPrice: 5_000_000_000};
+
+    tracker.record(receipt(60_000), transaction, now - 25 * 60 * 60);
+    tracker.record(receipt(60_000), transaction, now - 60);
+
+    expect(tracker.spentToday(now).toFixed()).toEqual('300000000000000');
+    expect(() => tracker.check(transaction, now)).not.toThrow();
+
+    tracker.record(receipt(60_000), transaction, now);
+    expect(() => tracker.check(transaction, now)).toThrow(/exceeds the daily budget/);
+
+    // Spends roll off after a day
+    expect(() => tracker.check(transaction, now + 24 * 60 * 60)).not.toThrow();
+  });
+
+  test('keeps spends in a file across runs', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poster-')), 'spends.json');
+    const now = Date.now() / 1000;
+
+    new SpendTracker({}, file).record(receipt(21_000), {gas: 21_000, gasPrice: 1_000_000_000}, now);
+
+    expect(new SpendTracker({}, file).spentToday(now).toFixed()).toEqual('21000000000000');
+  });
+
+  test('postWithRetries skips posts over the limits without sending', async () => {
+    const web3 = new Web3();
+    const sendSignedTransaction = jest.fn();
+    (<any>web3.eth).sendSignedTransaction = sendSignedTransaction;
+
+    await expect(postWithRetries({
+      to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      data: '0x',
+      gas: 100_000,
+      gasPrice: 100_000_000_000
+    }, '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510', web3, {
+      spendTracker: new SpendTracker({maxTxFee: '1000000000000000'})
+    })).rejects.toThrow(SpendLimitError);
+
+    expect(sendSignedTransaction).not.toHaveBeenCalled();
+  });
+
+  test('checkBalance refuses transactions the account cannot afford', async () => {
+    const web3 = new Web3();
+    jest.spyOn(web3.eth, 'getBalance').mockImplementation(() => Promise.resolve('1000000000000000'));
+
+    await expect(checkBalance({gas: 100_000, gasPrice: 10_000_000_000}, '0x1', web3)).resolves.toBeUndefined();
+    await expect(checkBalance({gas: 100_000, gasPrice: 10_000_000_000, value: 1}, '0x1', web3))
+      .rejects.toThrow(new InsufficientFundsError('Poster account 0x1 holds 1000000000000000 wei, but the transaction may cost up to 1000000000000001 wei'));
+  });
+
+  test('postWithRetries fails fast when the account cannot afford the post', async () => {
+    const web3 = new Web3();
+    const sendSignedTransaction = jest.fn();
+    (<any>web3.eth).sendSignedTransaction = sendSignedTransaction;
+    jest.spyOn(web3.eth, 'getBalance').mockImplementation(() => Promise.resolve('0'));
+
+    await expect(postWithRetries({
+      to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      data: '0x',
+      gas: 100_000,
+      gasPrice: 100_000_000_000
+    }, '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510', web3)).rejects.toThrow(InsufficientFundsError);
+
+    expect(sendSignedTransaction).not.toHaveBeenCalled();
+  });
+});
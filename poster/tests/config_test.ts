@@ -0,0 +1,114 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { loadConfigFile, parseJsonOption, targetOptions, validateConfig } from '../src/config';
+
+function writeConfig(name: string, contents: string): string {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poster-')), name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+describe('config files', () => {
+  test('loads a YAML config', () => {
+    const file = writeConfig('poster.yaml', [
+      'sources:',
+      '  - https://prices.compound.finance',
+      '  - source: coinbase',
+      '    endpoint: https://api.pro.coinbase.com/oracle',
+      'view-address: "0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D"',
+      'asset: [BTC, ETH]',
+      'price-deltas:',
+      '  BTC: 1',
+      '  ETH: 0.5',
+      'fee-mode: eip1559',
+      'dry-run: true'
+    ].join('\n'));
+
+    expect(loadConfigFile(file)).toEqual({
+      'sources': ['https://prices.compound.finance', {source: 'coinbase', endpoint: 'https://api.pro.coinbase.com/oracle'}],
+      'view-address': '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      'asset': ['BTC', 'ETH'],
+      'price-deltas': {BTC: 1, ETH: 0.5},
+      'fee-mode': 'eip1559',
+      'dry-run': true
+    });
+  });
+
+  test('loads a JSON config', () => {
+    const file = writeConfig('poster.json', JSON.stringify({'sources': 'https://prices.compound.finance', 'interval': 60}));
+
+    expect(loadConfigFile(file)).toEqual({'sources': 'https://prices.compound.finance', 'interval': 60});
+  });
+
+  test('points at every invalid entry', () => {
+    expect(validateConfig({
+      'view-adress': '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      'colour': 'blue',
+      'gas-limit': '4000000',
+      'price-deltas': {BTC: 1, ETH: 'lots'},
+      'fee-mode': 'eip-1559',
+      'sources': ['https://prices.compound.finance', {endpoint: 'https://api.pro.coinbase.com/oracle'}],
+      'reporter': [42]
+    })).toEqual([
+      'Unknown key `view-adress`, did you mean `view-address`?',
+      'Unknown key `colour`',
+      '`gas-limit` must be a number, got "4000000"',
+      '`price-deltas.ETH` must be a number, got "lots"',
+      '`fee-mode` must be one of legacy, eip1559, got "eip-1559"',
+      '`sources[1]` must be a URL or an object with a `source` field, got {"endpoint":"https://api.pro.coinbase.com/oracle"}',
+      '`reporter[0]` must be a string, got 42'
+    ]);
+  });
+
+  test('validates each target', () => {
+    expect(validateConfig({
+      'targets': [
+        {'name': 'mainnet', 'view-address': '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D', 'price-deltas': {ETH: 'lots'}, 'gas-strategy': 'fee-history', 'max-gas-price': 'high'},
+        {'name': 'kovan', 'view-adress': '0x0', 'interval': 60},
+        'ropsten'
+      ]
+    })).toEqual([
+      '`targets[0].price-deltas.ETH` must be a number, got "lots"',
+      '`targets[0].max-gas-price` must be a number, got "high"',
+      'Unknown key `targets[1].view-adress`, did you mean `targets[1].view-address`?',
+      'Unknown key `targets[1].interval`',
+      '`targets[2]` must be a map of options, got "ropsten"'
+    ]);
+  });
+
+  test('refuses to load an invalid config', () => {
+    const file = writeConfig('poster.yml', 'interval: soon\n');
+
+    expect(() => loadConfigFile(file)).toThrow(`Invalid config file ${file}:\n  - \`interval\` must be a number, got "soon"`);
+  });
+
+  test('targetOptions overrides the top-level options, without mixing signers or providers', () => {
+    const parsed = {
+      'web3-provider': 'https://mainnet-eth.compound.finance',
+      'fallback-provider': ['https://mainnet.infura.io'],
+      'network': 'mainnet',
+      'chain-id': 1,
+      'confirmations': 3,
+      'provider-timeout': 10,
+      'poster-keystore': 'mainnet.json',
+      'poster-keystore-password': 'secret',
+      'asset': ['BTC', 'ETH']
+    };
+
+    expect(targetOptions(parsed, {'name': 'mainnet'})).toEqual({...parsed, 'name': 'mainnet'});
+    expect(targetOptions(parsed, {'name': 'kovan', 'web3-provider': 'https://kovan-eth.compound.finance', 'network': 'kovan', 'poster-key': '0x1'})).toEqual({
+      'name': 'kovan',
+      'web3-provider': 'https://kovan-eth.compound.finance',
+      'network': 'kovan',
+      'provider-timeout': 10,
+      'poster-key': '0x1',
+      'asset': ['BTC', 'ETH']
+    });
+  });
+
+  test('parseJsonOption accepts JSON strings or parsed values', () => {
+    expect(parseJsonOption('{"BTC": 1}')).toEqual({BTC: 1});
+    expect(parseJsonOption({BTC: 1})).toEqual({BTC: 1});
+  });
+});
@@ -0,0 +1,64 @@
+import { startDaemon } from '../src/daemon';
+
+const sleep = (ms) => new Promise(okay => setTimeout(okay, ms));
+
+describe('daemon', () => {
+  test('runs cycles on an interval until stopped', async () => {
+    let cycles = 0;
+    const daemon = startDaemon(async () => { cycles++; }, 10);
+
+    await sleep(55);
+    await daemon.stop();
+
+    const stoppedAt = cycles;
+    expect(stoppedAt).toBeGreaterThanOrEqual(3);
+
+    await sleep(30);
+    expect(cycles).toEqual(stoppedAt);
+  });
+
+  test('skips ticks while the previous cycle is pending', async () => {
+    let cycles = 0;
+    let release;
+    const blocker = new Promise(okay => release = okay);
+
+    const daemon = startDaemon(async () => {
+      cycles++;
+      await blocker;
+    }, 10);
+
+    await sleep(50);
+    expect(cycles).toEqual(1);
+
+    release();
+    const stopped = daemon.stop();
+    await stopped;
+    expect(cycles).toEqual(1);
+  });
+
+  test('keeps running after a failed cycle', async () => {
+    let cycles = 0;
+    const daemon = startDaemon(async () => {
+      cycles++;
+      throw new Error('bad cycle');
+    }, 10);
+
+    await sleep(35);
+    await daemon.stop();
+
+    expect(cycles).toBeGreaterThanOrEqual(2);
+  });
+
+  test('stop waits for the in-flight cycle', async () => {
+    let finished = false;
+    const daemon = startDaemon(async () => {
+      await sleep(30);
+      finished = true;
+    }, 1000);
+
+    await sleep(5);
+    await daemon.stop();
+
+    expect(finished).toEqual(true);
+  });
+});
@@ -0,0 +1,64 @@
+import Web3 from 'web3';
+import { bumpEip1559Fees, fetchEip1559Fees, isEip1559 } from '../src/fees';
+
+function mockProvider(results: {[method: string]: any}) {
+  return {
+    send({id, jsonrpc, method}, callback) {
+      expect(Object.keys(results)).toContain(method);
+      callback(null, {id, jsonrpc, result: results[method]});
+    }
+  };
+}
+
+describe('EIP-1559 fees', () => {
+  test('fetchEip1559Fees', async () => {
+    const web3 = new Web3(<any>mockProvider({
+      eth_feeHistory: {
+        oldestBlock: '0x10',
+        baseFeePerGas: ['0x3b9aca00', '0x3b9aca00', '0x77359400'], // 1 gwei, 1 gwei, next block 2 gwei
+        gasUsedRatio: [0.5, 0.9],
+        reward: [['0x3b9aca00'], ['0x77359400']] // 1 gwei, 2 gwei
+      }
+    }));
+
+    expect(await fetchEip1559Fees(web3, 50)).toEqual({
+      maxFeePerGas: 5_500_000_000,
+      maxPriorityFeePerGas: 1_500_000_000
+    });
+  });
+
+  test('bumpEip1559Fees', () => {
+    expect(bumpEip1559Fees({maxFeePerGas: 5_500_000_000, maxPriorityFeePerGas: 1_500_000_000})).toEqual({
+      maxFeePerGas: 6_050_000_000,
+      maxPriorityFeePerGas: 1_650_000_000
+    });
+
+    expect(bumpEip1559Fees({maxFeePerGas: 1, maxPriorityFeePerGas: 0})).toEqual({
+      maxFeePerGas: 2,
+      maxPriorityFeePerGas: 1
+    });
+  });
+
+  test('isEip1559', () => {
+    expect(isEip1559({gasPrice: 1})).toEqual(false);
+    expect(isEip1559({maxFeePerGas: 2, maxPriorityFeePerGas: 1})).toEqual(true);
+  });
+
+  test('signs type-2 transactions', async () => {
+    const web3 = new Web3(<any>mockProvider({
+      eth_getBlockByNumber: {number: '0x10', baseFeePerGas: '0x3b9aca00'},
+      eth_gasPrice: '0x3b9aca00'
+    }));
+    const signed = await web3.eth.accounts.signTransaction({
+      to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      data: '0x',
+      gas: 100_000,
+      nonce: 0,
+      chainId: 1,
+      maxFeePerGas: 5_500_000_000,
+      maxPriorityFeePerGas: 1_500_000_000
+    }, '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510');
+
+    expect((<string>signed.rawTransaction).slice(0, 4)).toEqual('0x02');
+  });
+});
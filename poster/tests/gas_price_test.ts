@@ -0,0 +1,85 @@
+import Web3 from 'web3';
+import {
+  buildGasPriceStrategy,
+  capGasPrice,
+  feeHistoryGasPrice,
+  httpGasPrice,
+  nodeGasPrice,
+  staticGasPrice,
+  withCaps
+} from '../src/gas_price';
+
+function mockProvider(results: {[method: string]: any}) {
+  return {
+    send({id, jsonrpc, method}, callback) {
+      callback(null, {id, jsonrpc, result: results[method]});
+    }
+  };
+}
+
+const mockFetch = (responses) => {
+  return async (url) => {
+    const response = responses[url];
+    if (response === undefined) {
+      throw new Error(`Mock Fetch: Unknown URL \`${url}\``);
+    }
+
+    return {
+      json: () => response
+    };
+  };
+};
+
+const web3 = new Web3(<any>mockProvider({
+  eth_gasPrice: '0x77359400', // 2 gwei
+  eth_feeHistory: {
+    oldestBlock: '0x10',
+    baseFeePerGas: ['0x3b9aca00', '0x3b9aca00', '0x3b9aca00'], // 1 gwei
+    gasUsedRatio: [0.5, 0.5],
+    reward: [['0x1dcd6500'], ['0x1dcd6500']] // 0.5 gwei
+  }
+}));
+
+describe('gas price strategies', () => {
+  test('node', async () => {
+    expect(await nodeGasPrice().fetch(web3)).toEqual(2_000_000_000);
+  });
+
+  test('fee-history', async () => {
+    expect(await feeHistoryGasPrice(50).fetch(web3)).toEqual(1_500_000_000);
+  });
+
+  test('static', async () => {
+    expect(await staticGasPrice(7_000_000_000).fetch(web3)).toEqual(7_000_000_000);
+  });
+
+  test('http', async () => {
+    const fetchFn = mockFetch({
+      'https://gas.example.com/wei': {average: {value: '2600000000'}},
+      'https://gas.example.com/gwei': {result: {ProposeGasPrice: '41.5'}},
+      'https://gas.example.com/bad': {result: 'rate limited'}
+    });
+
+    expect(await httpGasPrice('https://gas.example.com/wei', 'average.value', 'wei', fetchFn).fetch(web3)).toEqual(2_600_000_000);
+    expect(await httpGasPrice('https://gas.example.com/gwei', 'result.ProposeGasPrice', 'gwei', fetchFn).fetch(web3)).toEqual(41_500_000_000);
+    await expect(httpGasPrice('https://gas.example.com/bad', 'result.ProposeGasPrice', 'gwei', fetchFn).fetch(web3)).rejects.toThrow(/Invalid gas price at `result.ProposeGasPrice`/);
+  });
+
+  test('caps', async () => {
+    expect(capGasPrice(5, {})).toEqual(5);
+    expect(capGasPrice(5, {floor: 10})).toEqual(10);
+    expect(capGasPrice(50, {floor: 10, ceiling: 20})).toEqual(20);
+    expect(await withCaps(nodeGasPrice(), {ceiling: 1_000_000_000}).fetch(web3)).toEqual(1_000_000_000);
+  });
+
+  test('buildGasPriceStrategy', () => {
+    expect(buildGasPriceStrategy({strategy: 'node'}).name).toEqual('node');
+    expect(buildGasPriceStrategy({strategy: 'fee-history', percentile: 60}).name).toEqual('fee-history');
+    expect(buildGasPriceStrategy({strategy: 'static', gasPrice: 1}).name).toEqual('static');
+    expect(buildGasPriceStrategy({strategy: 'http', url: 'https://gas.example.com', jsonPath: 'fast'}).name).toEqual('http');
+
+    expect(() => buildGasPriceStrategy({strategy: 'static'})).toThrow(/requires a gas price/);
+    expect(() => buildGasPriceStrategy({strategy: 'http', url: 'https://gas.example.com'})).toThrow(/requires both a url and a json path/);
+    expect(() => buildGasPriceStrategy({strategy: 'oracle'})).toThrow(/Unknown gas price strategy `oracle`/);
+  });
+});
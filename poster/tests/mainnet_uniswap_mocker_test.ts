@@ -0,0 +1,28 @@
+import Web3 from 'web3';
+import { SpendLimitError, SpendTracker } from '../src/budget';
+import { mockUniswapTokenPairs } from '../src/mainnet_uniswap_mocker';
+import * as util from '../src/util';
+
+const posterKey = '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510';
+const pairs = {
+  testnet: {ETH: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D'},
+  mainnet: {ETH: '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc'}
+};
+
+describe('mocking uniswap pairs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses updates over the spend limits, like every other post', async () => {
+    const web3 = new Web3();
+    jest.spyOn(util, 'readMany').mockImplementation(() => Promise.resolve(['1000', '2000', '1600000000']));
+    jest.spyOn(util, 'read').mockImplementation(() => Promise.resolve('5000'));
+    const getBalance = jest.spyOn(web3.eth, 'getBalance');
+    const spendTracker = new SpendTracker({maxTxFee: '999999999999999'});
+
+    await expect(mockUniswapTokenPairs(['eth'], posterKey, pairs, 1_000_000, {gasPrice: 1_000_000_000}, web3, {spendTracker}))
+      .rejects.toThrow(SpendLimitError);
+    expect(getBalance).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import { Counter, Gauge, metrics, renderMetrics, startMetricsServer } from '../src/metrics';
+
+function get(port: number, path: string): Promise<{status: number | undefined, body: string}> {
+  return new Promise((resolve, reject) => {
+    http.get({port, path}, (res) => {
+      let body = '';
+      res.on('data', (chunk) => body += chunk);
+      res.on('end', () => resolve({status: res.statusCode, body}));
+    }).on('error', reject);
+  });
+}
+
+describe('metrics', () => {
+  test('counters and gauges render in the Prometheus text format', () => {
+    const counter = new Counter('test_total', 'A test counter');
+    counter.inc();
+    counter.inc({symbol: 'ETH'}, 2);
+    counter.inc({symbol: 'ETH'});
+
+    const gauge = new Gauge('test_gauge', 'A test gauge');
+    gauge.set({source: 'http://localhost:3000/"prices"'}, 1.5);
+    gauge.set({source: 'http://localhost:3000/"prices"'}, 0.25);
+
+    expect(counter.get({symbol: 'ETH'})).toEqual(3);
+    expect(counter.render()).toEqual([
+      '# HELP test_total A test counter',
+      '# TYPE test_total counter',
+      'test_total 1',
+      'test_total{symbol="ETH"} 3'
+    ].join('\n'));
+    expect(gauge.render()).toEqual([
+      '# HELP test_gauge A test gauge',
+      '# TYPE test_gauge gauge',
+      'test_gauge{source="http://localhost:3000/\\"prices\\""} 0.25'
+    ].join('\n'));
+  });
+
+  test('serves the poster metrics', async () => {
+    metrics.posts.reset();
+    metrics.posts.inc();
+    metrics.lastPostedPrice.set({symbol: 'BTC'}, 10101);
+
+    const server = startMetricsServer(0);
+    await new Promise(okay => server.once('listening', okay));
+    const {port} = <AddressInfo>server.address();
+
+    try {
+      const {status, body} = await get(port, '/metrics');
+      expect(status).toEqual(200);
+      expect(body).toEqual(renderMetrics());
+      expect(body).toContain('price_feed_poster_posts_total 1\n');
+      expect(body).toContain('price_feed_poster_last_posted_price{symbol="BTC"} 10101\n');
+
+      expect((await get(port, '/')).status).toEqual(404);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import Web3 from 'web3';
+import { DEFAULT_WEB3_PROVIDER, checkChainId, configureWeb3, defaultNetwork, getNetworkProfile, networkSigner } from '../src/network';
+import { privateKeySigner } from '../src/signer';
+
+const privateKey = '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510';
+const transaction = {
+  to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+  data: '0x',
+  gas: 100_000,
+  gasPrice: 10_000_000,
+  nonce: 3
+};
+
+describe('network profiles', () => {
+  test('getNetworkProfile applies overrides to the profile', () => {
+    expect(getNetworkProfile('mainnet')).toEqual({chainId: 1, confirmations: 10, pollingTimeout: 180, gasStrategy: 'fee-history', feeMode: 'eip1559', eip155: true});
+    expect(getNetworkProfile('development', {confirmations: 2, pollingTimeout: undefined})).toEqual({confirmations: 2, pollingTimeout: 30, gasStrategy: 'node', feeMode: 'legacy', eip155: true});
+    expect(getNetworkProfile('custom', {chainId: 100})).toMatchObject({chainId: 100, confirmations: 10});
+
+    expect(() => getNetworkProfile('moonbase')).toThrow('Unknown network `moonbase`, expected one of development, ropsten, rinkeby, goerli, kovan, mainnet, custom');
+    expect(() => getNetworkProfile('mainnet', {eip155: false}))
+      .toThrow("Network `mainnet` can't post EIP-1559 transactions without EIP-155, which they always include");
+  });
+
+  test('defaultNetwork is development for local providers or the development port', () => {
+    expect(defaultNetwork(DEFAULT_WEB3_PROVIDER)).toEqual('development');
+    expect(defaultNetwork('http://localhost:7545')).toEqual('development');
+    expect(defaultNetwork('http://ganache:8545')).toEqual('development');
+    expect(defaultNetwork('http://10.0.0.5:8546')).toEqual('custom');
+    expect(defaultNetwork('https://mainnet.infura.io/v3/key')).toEqual('custom');
+    expect(defaultNetwork('not a url')).toEqual('custom');
+  });
+
+  test('configureWeb3 and checkChainId', async () => {
+    const web3 = new Web3();
+    const network = getNetworkProfile('goerli');
+    jest.spyOn(web3.eth, 'getChainId').mockImplementation(() => Promise.resolve(1));
+
+    configureWeb3(network, web3);
+
+    expect(web3.eth.transactionConfirmationBlocks).toEqual(1);
+    expect(web3.eth.transactionPollingTimeout).toEqual(180);
+    await expect(checkChainId('goerli', network, web3)).rejects.toThrow('Provider is on chain 1, but network `goerli` expects chain 5');
+    await expect(checkChainId('mainnet', getNetworkProfile('mainnet'), web3)).resolves.toBeUndefined();
+    await expect(checkChainId('custom', getNetworkProfile('custom'), web3)).resolves.toBeUndefined();
+    // hardhat or anvil on 31337 is as good a development chain as ganache on 1337
+    await expect(checkChainId('development', getNetworkProfile('development'), web3)).resolves.toBeUndefined();
+    await expect(checkChainId('development', getNetworkProfile('development', {chainId: 1337}), web3))
+      .rejects.toThrow('Provider is on chain 1, but network `development` expects chain 1337');
+  });
+
+  test('networkSigner signs with or without replay protection', async () => {
+    const web3 = new Web3();
+    const signer = privateKeySigner(privateKey, web3);
+
+    const sign = (network) => networkSigner(signer, network).signTransaction(transaction, web3);
+    const protectedTransaction = await sign(getNetworkProfile('kovan'));
+    const unprotectedTransaction = await sign(getNetworkProfile('kovan', {eip155: false}));
+
+    expect(protectedTransaction).toEqual((await web3.eth.accounts.signTransaction({...transaction, chainId: 42}, privateKey)).rawTransaction);
+    // Without the chain id in the signature, the same post is valid on any chain
+    expect(unprotectedTransaction).not.toEqual(protectedTransaction);
+    expect(unprotectedTransaction).toEqual(await sign(getNetworkProfile('goerli', {eip155: false})));
+    expect(web3.eth.accounts.recoverTransaction(unprotectedTransaction)).toEqual(signer.address);
+  });
+});
@@ -0,0 +1,123 @@
+import Web3 from 'web3';
+import { metrics } from '../src/metrics';
+import { NonceManager } from '../src/nonce_manager';
+import { cancelNonce, postWithRetries } from '../src/post_with_retries';
+
+const senderKey = '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510';
+
+// Answers the handful of calls signing and nonce lookups make, with transaction counts we control
+function mockProvider(counts: {latest: number, pending: number}) {
+  return {
+    send({id, jsonrpc, method, params}, callback) {
+      const results = {
+        eth_getTransactionCount: () => Web3.utils.numberToHex(params[1] === 'pending' ? counts.pending : counts.latest),
+        eth_chainId: () => '0x1',
+        eth_getBalance: () => Web3.utils.numberToHex(Web3.utils.toWei('1')),
+        net_version: () => '1',
+        eth_gasPrice: () => '0x3b9aca00',
+        eth_getBlockByNumber: () => ({number: '0x10'})
+      };
+
+      callback(null, {id, jsonrpc, result: results[method]()});
+    }
+  };
+}
+
+describe('nonce management', () => {
+  test('reserves consecutive nonces from the pending count until released', async () => {
+    const counts = {latest: 4, pending: 5};
+    const nonces = new NonceManager('0x864f667F63B8650e10A0E52910f01198dAb19d69', new Web3(<any>mockProvider(counts)));
+
+    expect(await nonces.counts()).toEqual({latest: 4, pending: 5});
+    expect(await nonces.reserve()).toEqual(5);
+    expect(await nonces.reserve()).toEqual(6);
+
+    nonces.release(5);
+    nonces.release(6);
+
+    // Nothing outstanding, so a nonce that never made it to the mempool is handed out again
+    expect(await nonces.reserve()).toEqual(5);
+  });
+
+  test('isConsumed', async () => {
+    const counts = {latest: 4, pending: 5};
+    const nonces = new NonceManager('0x864f667F63B8650e10A0E52910f01198dAb19d69', new Web3(<any>mockProvider(counts)));
+
+    expect(await nonces.isConsumed(3)).toEqual(true);
+    expect(await nonces.isConsumed(4)).toEqual(false);
+  });
+
+  test('retries replace the stuck post using the same nonce', async () => {
+    const web3 = new Web3(<any>mockProvider({latest: 7, pending: 7}));
+    const signTransactionSpy = jest.spyOn(web3.eth.accounts, 'signTransaction');
+
+    let sends = 0;
+    (<any>web3.eth).sendSignedTransaction = () => {
+      if (sends++ === 0) {
+        return Promise.reject(new Error('Timeout exceeded during the transaction confirmation process'));
+      }
+
+      return Promise.resolve({status: true});
+    };
+
+    const receipt = await postWithRetries({
+      to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      data: '0x',
+      gas: 100_000,
+      gasPrice: 10_000_000
+    }, senderKey, web3, {target: 'mainnet'});
+
+    expect(receipt).toEqual({status: true});
+    expect(signTransactionSpy.mock.calls.map(([{nonce, gasPrice}]) => [nonce, gasPrice])).toEqual([
+      [7, 10_000_000],
+      [7, 12_000_000]
+    ]);
+    expect(metrics.retries.get({target: 'mainnet'})).toEqual(1);
+    expect(metrics.lastGasPrice.get({target: 'mainnet'})).toEqual(12_000_000);
+  });
+
+  test('retries keep their bumped fees under the gas price ceiling, and stop once they reach it', async () => {
+    const web3 = new Web3(<any>mockProvider({latest: 7, pending: 7}));
+    const signTransactionSpy = jest.spyOn(web3.eth.accounts, 'signTransaction');
+    (<any>web3.eth).sendSignedTransaction = () => Promise.reject(new Error('Timeout exceeded during the transaction confirmation process'));
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback: any) => callback());
+
+    const post = (fees) => postWithRetries({
+      to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+      data: '0x',
+      gas: 100_000,
+      ...fees
+    }, senderKey, web3, {retries: 3, gasPriceCaps: {ceiling: 13_000_000}});
+
+    await expect(post({gasPrice: 10_000_000})).rejects.toThrow('Failed to run Open Price Feed poster after 2 attempt(s): the fee of nonce 7 is at the gas price ceiling of 13000000 wei, and can\'t be raised to replace it');
+    await expect(post({maxFeePerGas: 12_000_000, maxPriorityFeePerGas: 12_000_000, type: '0x2'})).rejects.toThrow('after 1 attempt(s): the fee of nonce 7 is at the gas price ceiling');
+
+    // Never the same fee twice on the same nonce
+    expect(signTransactionSpy.mock.calls.map(([{gasPrice, maxFeePerGas, maxPriorityFeePerGas}]) => gasPrice || [maxFeePerGas, maxPriorityFeePerGas])).toEqual([
+      10_000_000,
+      12_000_000,
+      13_000_000,
+      [12_000_000, 12_000_000],
+      [13_000_000, 13_000_000]
+    ]);
+    (<any>global.setTimeout).mockRestore();
+  });
+
+  test('cancelNonce sends a zero-value transfer to ourselves with the stuck nonce', async () => {
+    const web3 = new Web3(<any>mockProvider({latest: 3, pending: 4}));
+    const signTransactionSpy = jest.spyOn(web3.eth.accounts, 'signTransaction');
+    (<any>web3.eth).sendSignedTransaction = () => Promise.resolve({status: true});
+
+    expect(await cancelNonce(3, {gasPrice: 20_000_000}, senderKey, web3)).toEqual({status: true});
+    expect(signTransactionSpy.mock.calls[0][0]).toEqual({
+      to: web3.eth.accounts.privateKeyToAccount(senderKey).address,
+      value: 0,
+      gas: 21000,
+      nonce: 3,
+      gasPrice: 20_000_000
+    });
+
+    // Already mined, nothing to cancel
+    expect(await cancelNonce(2, {gasPrice: 20_000_000}, senderKey, web3)).toEqual(undefined);
+  });
+});
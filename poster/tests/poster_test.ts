@@ -1,12 +1,24 @@
 import Web3 from 'web3';
+import { BigNumber } from 'bignumber.js';
+import * as anchor from '../src/anchor';
 import {
+  anchorKeeperItems,
   buildTrxData,
-  fetchGasPrice,
+  chunkFeedItems,
+  dryRunReport,
   fetchPayloads,
   inDeltaRange,
-  filterPayloads
+  filterPayloads,
+  mainTargets,
+  messageRejection,
+  postReason,
+  PosterTarget
 } from '../src/poster';
+import * as postWithRetriesModule from '../src/post_with_retries';
 import * as prevPrice from '../src/prev_price';
+import * as rotation from '../src/rotation';
+import { dryRunSigner, privateKeySigner } from '../src/signer';
+import { metrics } from '../src/metrics';
 import * as util from '../src/util';
 
 const endpointResponses = {
@@ -28,23 +40,6 @@ const endpointResponses = {
   }
 }
 
-const gasResponses = {
-  "https://api.compound.finance/api/gas_prices/get_gas_price": {
-    "average": {
-      "value": "2600000000"
-    },
-    "fast": {
-      "value": "9000000000"
-    },
-    "fastest": {
-      "value": "21000000000"
-    },
-    "safe_low": {
-      "value": "1000000000"
-    }
-  }
-};
-
 const mockFetch = (responses) => {
   return async (url) => {
     const response = responses[url];
@@ -59,12 +54,30 @@ const mockFetch = (responses) => {
   };
 };
 
-describe('loading poster arguments from environment and https', () => {
-  test('fetchGasPrice', async () => {
-    let gasPrice = await fetchGasPrice(mockFetch(gasResponses));
-    expect(gasPrice).toEqual(2600000000);
-  });
+// A web3 whose poster account holds `balance` wei
+const fundedWeb3 = (balance: string = '1000000000000000000'): Web3 => {
+  const web3 = new Web3();
+  jest.spyOn(web3.eth, 'getBalance').mockImplementation(() => Promise.resolve(balance));
+  return web3;
+};
 
+// A target posting to `0xview`, with whatever a test needs overridden
+const posterTarget = (web3: Web3, overrides: Partial<PosterTarget> = {}): PosterTarget => ({
+  signer: privateKeySigner('0x6eafd2b8e9e1b7e3bd0a31d7f6e8a5f4ecb8b5d5ad3a1a0c4c7e0c4b1b6f5e4d', web3),
+  viewAddress: '0xview',
+  functionSig: 'postPrices(bytes[],bytes[],string[])',
+  gas: 1_000_000,
+  gasPrice: 1_000_000_000,
+  deltas: {},
+  assets: [],
+  mockedWorld: false,
+  pairs: {testnet: {}, mainnet: {}},
+  web3,
+  options: {},
+  ...overrides
+});
+
+describe('loading poster arguments from environment and https', () => {
   test('fetchPayloads', async () => {
     // hits the http endpoints, encodes a transaction
     let payloads = await fetchPayloads(["http://localhost:3000", "http://localhost:3000/prices.json"], mockFetch(endpointResponses));
@@ -138,6 +151,72 @@ describe('building a function call', () => {
   });
 });
 
+describe('splitting posts by gas', () => {
+  // Costs 100k gas, plus 100k per message
+  function mockEstimates(web3: Web3) {
+    const estimateGas = jest.fn(async ({data}) => {
+      const {'0': messages} = web3.eth.abi.decodeParameters(['bytes[]', 'bytes[]', 'string[]'], '0x' + data.slice(10));
+      return 100_000 + 100_000 * messages.length;
+    });
+    (<any>web3.eth).estimateGas = estimateGas;
+
+    return estimateGas;
+  }
+
+  const feedItems = <OpenPriceFeedItem[]>[
+    {message: '0x01', signature: '0x01', symbol: 'BTC'},
+    {message: '0x02', signature: '0x02', symbol: 'ETH'},
+    {message: '0x03', signature: '0x03', symbol: 'BTC'},
+    {message: '0x04', signature: '0x04', symbol: 'DAI'}
+  ];
+  const functionSig = 'postPrices(bytes[],bytes[],string[])';
+
+  test('chunkFeedItems keeps a post under the gas ceiling whole', async () => {
+    const web3 = new Web3();
+    const estimateGas = mockEstimates(web3);
+
+    expect(await chunkFeedItems(feedItems, functionSig, '0x0', 750_000, web3)).toEqual([{feedItems, gasEstimate: 500_000}]);
+    expect(await chunkFeedItems(feedItems, functionSig, '0x0', undefined, web3)).toEqual([{feedItems, gasEstimate: 500_000}]);
+    expect(estimateGas).toHaveBeenCalledTimes(2);
+  });
+
+  test('chunkFeedItems splits by symbol under the gas ceiling', async () => {
+    const web3 = new Web3();
+    mockEstimates(web3);
+
+    const chunks = await chunkFeedItems(feedItems, functionSig, '0x0', 600_000, web3);
+    expect(chunks.map(({feedItems, gasEstimate}) => [feedItems.map(({message}) => message), gasEstimate])).toEqual([
+      [['0x01', '0x03', '0x02'], 400_000],
+      [['0x04'], 200_000]
+    ]);
+
+    // A symbol over the ceiling on its own is still posted, by itself
+    expect((await chunkFeedItems(feedItems, functionSig, '0x0', 300_000, web3)).map(({feedItems}) => feedItems.map(({symbol}) => symbol))).toEqual([
+      ['BTC', 'BTC'],
+      ['ETH'],
+      ['DAI']
+    ]);
+  });
+
+  test('chunkFeedItems splits symbols without messages along with the rest', async () => {
+    // Costs 100k gas per symbol
+    const web3 = new Web3();
+    (<any>web3.eth).estimateGas = async ({data}) => {
+      const {'2': symbols} = web3.eth.abi.decodeParameters(['bytes[]', 'bytes[]', 'string[]'], '0x' + data.slice(10));
+      return 100_000 * symbols.length;
+    };
+    const items = feedItems.slice(0, 3);
+
+    expect(await chunkFeedItems(items, functionSig, '0x0', undefined, web3, ['DAI', 'COMP'])).toEqual([
+      {feedItems: items, symbols: ['DAI', 'COMP'], gasEstimate: 400_000}
+    ]);
+    expect(await chunkFeedItems(items, functionSig, '0x0', 300_000, web3, ['DAI', 'COMP'])).toEqual([
+      {feedItems: [items[0], items[2], items[1]], gasEstimate: 200_000},
+      {feedItems: [], symbols: ['DAI', 'COMP'], gasEstimate: 200_000}
+    ]);
+  });
+});
+
 describe('checking that numbers are within the specified delta range', () => {
   test('inDeltaRange', () => {
     expect(inDeltaRange(0, 9687.654999, 9696.640000)).toEqual(false);
@@ -154,18 +233,24 @@ describe('checking that numbers are within the specified delta range', () => {
   })
 })
 
+// Reporter messages are a minute newer than the stored prices, unless a test says otherwise
+const messageTimestamp = Math.floor(Date.now() / 1000);
+
 describe('filtering payloads', () => {
-  function mockPrevPrices(prevPrices={}) {
-    async function mockPreviousPrice(_sourceAddress, asset, _dataAddress, _web3) {
-      return prevPrices[asset];
+  function mockPrevPrices(prevPrices={}, prevTimestamps={}) {
+    async function mockPreviousData(lookups, _dataAddress, _web3) {
+      return lookups.map(({symbol}) => {
+        return {timestamp: prevTimestamps[symbol] || messageTimestamp - 60, value: prevPrices[symbol]};
+      });
     }
 
-    const getSourceAddressSpy = jest.spyOn(prevPrice, 'getSourceAddress');
-    getSourceAddressSpy.mockImplementation(() => Promise.resolve(""));
+    jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(messageTimestamp));
+    const recoverSourceSpy = jest.spyOn(util, 'recoverSource');
+    recoverSourceSpy.mockImplementation(() => "");
     const getDataAddressSpy = jest.spyOn(prevPrice, 'getDataAddress');
     getDataAddressSpy.mockImplementation(() => Promise.resolve(""));
-    const getPreviousPriceSpy = jest.spyOn(prevPrice, 'getPreviousPrice');
-    getPreviousPriceSpy.mockImplementation(mockPreviousPrice);
+    const getPreviousDataSpy = jest.spyOn(prevPrice, 'getPreviousData');
+    getPreviousDataSpy.mockImplementation(mockPreviousData);
   };
 
   function mockMessages(messages: {[message: string]: DecodedMessage}) {
@@ -181,7 +266,7 @@ describe('filtering payloads', () => {
       return util.zip(Object.entries(payload.prices), payload.messages).map(([[symbol, price], message]) => {
         return [message, {
           dataType: 'type',
-          timestamp: 0,
+          timestamp: messageTimestamp,
           symbol,
           price
         }];
@@ -218,10 +303,11 @@ describe('filtering payloads', () => {
         message: "0x7",
         prev: 0.260992,
         price: 0.26466,
+        reason: 'deviation',
         signature: "0x7",
         source: "",
         symbol: "BAT",
-        timestamp: 0,
+        timestamp: messageTimestamp,
       }
     ]);
   })
@@ -255,21 +341,23 @@ describe('filtering payloads', () => {
         message: '0x1',
         signature: '0x1',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'BTC',
         price: 10101,
         source: '',
-        prev: 10000
+        prev: 10000,
+        reason: 'deviation'
       },
       {
         message: '0x2',
         signature: '0x2',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'ETH',
         price: 1011,
         source: '',
-        prev: 1000
+        prev: 1000,
+        reason: 'deviation'
       }
     ]);
   })
@@ -330,82 +418,438 @@ describe('filtering payloads', () => {
         message: '0x1',
         signature: '0x1',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'BTC',
         price: 10101,
         source: '',
-        prev: 10000
+        prev: 10000,
+        reason: 'deviation'
       },
       {
         message: '0x2',
         signature: '0x2',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'ETH',
         price: 1011,
         source: '',
-        prev: 1000
+        prev: 1000,
+        reason: 'deviation'
       },
       {
         message: '0x4',
         signature: '0x4',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'DAI',
         price: 1,
         source: '',
-        prev: 1
+        prev: 1,
+        reason: 'deviation'
       },
       {
         message: '0x5',
         signature: '0x5',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'REP',
         price: 16,
         source: '',
-        prev: 16
+        prev: 16,
+        reason: 'deviation'
       },
       {
         message: '0x6',
         signature: '0x6',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'ZRX',
         price: 1.011,
         source: '',
-        prev: 1.011
+        prev: 1.011,
+        reason: 'deviation'
       },
       {
         message: '0x7',
         signature: '0x7',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'BAT',
         price: 1,
         source: '',
-        prev: 1
+        prev: 1,
+        reason: 'deviation'
       },
       {
         message: '0x8',
         signature: '0x8',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'KNC',
         price: 2,
         source: '',
-        prev: 2
+        prev: 2,
+        reason: 'deviation'
       },
       {
         message: '0x9',
         signature: '0x9',
         dataType: 'type',
-        timestamp: 0,
+        timestamp: messageTimestamp,
         symbol: 'LINK',
         price: 5,
         source: '',
-        prev: 5
+        prev: 5,
+        reason: 'deviation'
       }
     ]);
   })
+
+  test('messageRejection', () => {
+    expect(messageRejection(1000, 1000, 1000, undefined, 1000)).toEqual('not newer than the stored price at 1000');
+    expect(messageRejection(4600, 1000, 1000, undefined, 1000)).toEqual('more than 60 minutes ahead of the latest block at 1000');
+    expect(messageRejection(4599, 1000, 1000, undefined, 1000)).toEqual(undefined);
+    expect(messageRejection(2000, 1000, 5000, 600, 5000)).toEqual('older than the max message age of 600s');
+    expect(messageRejection(4400, 1000, 5000, 600, 5000)).toEqual(undefined);
+  });
+
+  test('Filtering payloads, messages the data contract would not write are dropped', async () => {
+    const payloads = [
+      {
+        timestamp: '1593209100',
+        messages: ['0x1', '0x2', '0x3', '0x4', '0x5', '0x6'],
+        signatures: ['0x1', '0x2', '0x3', '0x4', '0x5', '0x6'],
+        prices: {}
+      }
+    ];
+    mockPrevPrices({BTC: 10000000000, ETH: 1000000000, DAI: 1000000, REP: 16000000});
+    mockMessages({
+      // Not newer than the stored price
+      '0x1': {dataType: 'type', timestamp: messageTimestamp - 60, symbol: 'BTC', price: 20000},
+      // Too far ahead of the latest block
+      '0x2': {dataType: 'type', timestamp: messageTimestamp + 3600, symbol: 'ETH', price: 2000},
+      // Older than the max message age, but newer than the stored price
+      '0x3': {dataType: 'type', timestamp: messageTimestamp - 59, symbol: 'DAI', price: 2},
+      // Only the newer of two messages for the same symbol is written
+      '0x4': {dataType: 'type', timestamp: messageTimestamp - 1, symbol: 'REP', price: 20},
+      '0x5': {dataType: 'type', timestamp: messageTimestamp, symbol: 'REP', price: 30},
+      '0x6': {dataType: 'type', timestamp: messageTimestamp, symbol: 'ETH', price: 3000}
+    });
+
+    const feedItems = await filterPayloads(payloads, '0x0', ['BTC', 'ETH', 'DAI', 'REP'], {BTC: 1, ETH: 1, DAI: 1, REP: 1}, new Web3(), {maxMessageAge: 30});
+    expect(feedItems.map(({message, symbol}) => [message, symbol])).toEqual([
+      ['0x5', 'REP'],
+      ['0x6', 'ETH']
+    ]);
+  });
+});
+
+describe('heartbeat posting of stale prices', () => {
+  test('postReason', () => {
+    expect(postReason(1, undefined, 1, 1, 0, 10000)).toEqual(undefined);
+    expect(postReason(1, 3600, 1, 1, 10000, 10000)).toEqual(undefined);
+    expect(postReason(1, 3600, 1, 1, 10000, 13600)).toEqual('heartbeat');
+    expect(postReason(1, 0, 1, 1, 0, 13600)).toEqual(undefined);
+    expect(postReason(1, 3600, 2, 1, 10000, 13600)).toEqual('deviation');
+  });
+
+  test('Filtering payloads, ETH is within delta but its stored price is older than its max age', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const payloads = [
+      {
+        timestamp: '1593209100',
+        messages: ['0x1', '0x2'],
+        signatures: ['0x1', '0x2'],
+        prices: {
+          BTC: '10000',
+          ETH: '1000'
+        }
+      }
+    ];
+
+    jest.spyOn(util, 'recoverSource').mockImplementation(() => "");
+    jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(now));
+    jest.spyOn(prevPrice, 'getDataAddress').mockImplementation(() => Promise.resolve(""));
+    jest.spyOn(prevPrice, 'getPreviousData').mockImplementation(async (lookups, _dataAddress, _web3) => {
+      return lookups.map(({symbol}) => {
+        return {
+          BTC: {timestamp: now - 60, value: 10000000000},
+          ETH: {timestamp: now - 7200, value: 1000000000}
+        }[symbol];
+      });
+    });
+    jest.spyOn(util, 'decodeMessage').mockImplementation((message, web3) => {
+      return {
+        '0x1': {dataType: 'type', timestamp: messageTimestamp, symbol: 'BTC', price: 10000},
+        '0x2': {dataType: 'type', timestamp: messageTimestamp, symbol: 'ETH', price: 1000}
+      }[message];
+    });
+
+    const feedItems = await filterPayloads(payloads, '0x0', ['BTC', 'ETH'], {BTC: 1, ETH: 1}, new Web3(), {maxAges: {BTC: 3600, ETH: 3600}});
+    expect(feedItems).toEqual([
+      {
+        message: '0x2',
+        signature: '0x2',
+        dataType: 'type',
+        timestamp: messageTimestamp,
+        symbol: 'ETH',
+        price: 1000,
+        source: '',
+        prev: 1000,
+        reason: 'heartbeat'
+      }
+    ]);
+  });
+});
+
+describe('recovering reporter addresses', () => {
+  test('recoverSource', () => {
+    jest.restoreAllMocks();
+
+    const web3 = new Web3();
+    const privateKey = '0x177ee777e72b8c042e05ef41d1db0f17f1fcb0e8150b37cfad6993e4373bdf10';
+    const message = web3.eth.abi.encodeParameters(['string', 'uint64', 'string', 'uint64'], ['prices', 1593209100, 'ETH', 230585000]);
+    const {r, s, v} = web3.eth.accounts.sign(web3.utils.keccak256(message), privateKey);
+    const signature = web3.eth.abi.encodeParameters(['bytes32', 'bytes32', 'uint8'], [r, s, v]);
+
+    expect(util.recoverSource(message, signature, web3)).toEqual('0x1826265c3156c3B9b9e751DC4635376F3CD6ee06');
+    expect(util.recoverSource(
+      'some data',
+      '0x04a78a7b3013f6939da19eac6fd1ad5c5a20c41bcc5d828557442aad6f07598d029ae684620bec13e13d018cba0da5096626e83cfd4d5356d808d7437a0a5076000000000000000000000000000000000000000000000000000000000000001c',
+      web3
+    )).toEqual('0x1826265c3156c3B9b9e751DC4635376F3CD6ee06');
+  });
+
+  test('Filtering payloads, messages from unexpected reporters or with bad signatures are dropped', async () => {
+    const payloads = [
+      {
+        timestamp: '1593209100',
+        messages: ['0x1', '0x2', '0x3'],
+        signatures: ['0x1', '0x2', '0x3'],
+        prices: {
+          BTC: '10101',
+          ETH: '1011',
+          DAI: '2'
+        }
+      }
+    ];
+
+    jest.spyOn(prevPrice, 'getDataAddress').mockImplementation(() => Promise.resolve(""));
+    jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(messageTimestamp));
+    jest.spyOn(prevPrice, 'getPreviousData').mockImplementation(async (lookups) => lookups.map(() => ({timestamp: messageTimestamp - 60, value: 1000000})));
+    jest.spyOn(util, 'decodeMessage').mockImplementation((message, web3) => {
+      return {
+        '0x1': {dataType: 'type', timestamp: messageTimestamp, symbol: 'BTC', price: 10101},
+        '0x2': {dataType: 'type', timestamp: messageTimestamp, symbol: 'ETH', price: 1011},
+        '0x3': {dataType: 'type', timestamp: messageTimestamp, symbol: 'DAI', price: 2}
+      }[message];
+    });
+    jest.spyOn(util, 'recoverSource').mockImplementation((message, signature, web3) => {
+      switch (message) {
+        case '0x1':
+          return '0x1826265c3156c3B9b9e751DC4635376F3CD6ee06';
+        case '0x2':
+          return '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+        default:
+          throw new Error('invalid signature');
+      }
+    });
+
+    const feedItems = await filterPayloads(payloads, '0x0', ['BTC', 'ETH', 'DAI'], {BTC: 1, ETH: 1, DAI: 1}, new Web3(), {reporters: ['0x1826265c3156c3b9b9e751dc4635376f3cd6ee06']});
+    expect(feedItems.map(({symbol, source}) => [symbol, source])).toEqual([
+      ['BTC', '0x1826265c3156c3B9b9e751DC4635376F3CD6ee06']
+    ]);
+  });
+});
+
+describe('dry runs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('simulates and estimates the post, but never signs or sends it', async () => {
+    const fetchFn = mockFetch({'http://localhost:3000': {messages: ['0x1'], signatures: ['0x1'], prices: {}}});
+    const web3 = fundedWeb3();
+    const call = jest.spyOn(web3.eth, 'call').mockImplementation(() => Promise.resolve('0x'));
+    const estimateGas = jest.spyOn(web3.eth, 'estimateGas').mockImplementation(() => Promise.resolve(100_000));
+    const send = jest.spyOn(web3.eth, 'sendSignedTransaction');
+    jest.spyOn(rotation, 'isReporterInvalidated').mockImplementation(() => Promise.resolve(false));
+    jest.spyOn(prevPrice, 'getDataAddress').mockImplementation(() => Promise.resolve('0xdata'));
+    jest.spyOn(prevPrice, 'getPreviousData').mockImplementation(async (lookups) => lookups.map(() => ({timestamp: messageTimestamp - 60, value: 1000000000})));
+    jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(messageTimestamp));
+    jest.spyOn(util, 'recoverSource').mockImplementation(() => '0x1826265c3156c3B9b9e751DC4635376F3CD6ee06');
+    jest.spyOn(util, 'decodeMessage').mockImplementation(() => ({dataType: 'prices', timestamp: messageTimestamp, symbol: 'ETH', price: 1100000000}));
+    const post = jest.spyOn(postWithRetriesModule, 'postWithRetries');
+    const signer = dryRunSigner('0x8121bF07C873586DFe9B23F1687B73108797dac0');
+    const sign = jest.spyOn(signer, 'signTransaction');
+    const target = posterTarget(web3, {signer, deltas: {ETH: 1}, assets: ['ETH'], options: {dryRun: true, anchorCheck: 'off'}});
+
+    const [{run, error}] = await mainTargets(['http://localhost:3000'], [target], {}, fetchFn);
+
+    expect(error).toBeUndefined();
+    expect(run).toEqual({receipts: [], failedSources: [], outcomes: []});
+    expect(estimateGas).toHaveBeenCalledTimes(1);
+    expect(call).toHaveBeenCalledWith({data: estimateGas.mock.calls[0][0].data, to: '0xview'});
+    expect(post).not.toHaveBeenCalled();
+    expect(sign).not.toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('dryRunReport', () => {
+    const feedItems = [
+      <OpenPriceFeedItem>{symbol: 'BTC', price: 10101, prev: 10000},
+      <OpenPriceFeedItem>{symbol: 'ETH', price: 990, prev: 1000},
+      <OpenPriceFeedItem>{symbol: 'COMP', price: 150, prev: 0}
+    ];
+
+    expect(dryRunReport(feedItems, 200_000, {gasPrice: 50_000_000_000})).toEqual([
+      {symbol: 'BTC', price: 10101, prev: 10000, change: '1.01%'},
+      {symbol: 'ETH', price: 990, prev: 1000, change: '-1.00%'},
+      {symbol: 'COMP', price: 150, prev: 0, change: 'n/a'},
+      {symbol: 'TOTAL', gas: 200_000, cost: '0.01 ETH'}
+    ]);
+
+    expect(dryRunReport(feedItems, 200_000, {maxFeePerGas: 100_000_000_000, maxPriorityFeePerGas: 1_000_000_000})[3]).toEqual(
+      {symbol: 'TOTAL', gas: 200_000, cost: '0.02 ETH'}
+    );
+  });
+});
+
+describe('posting to several targets', () => {
+  beforeEach(() => {
+    jest.spyOn(prevPrice, 'getDataAddress').mockImplementation(() => Promise.resolve('0xdata'));
+    jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(messageTimestamp));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fetches once and carries on past a failing target', async () => {
+    const requests: string[] = [];
+    const fetchFn = async (url) => {
+      requests.push(url);
+      return mockFetch({'http://localhost:3000': {messages: [], signatures: [], prices: {}}})(url);
+    };
+    const mainnet = new Web3();
+    const kovan = fundedWeb3();
+    jest.spyOn(mainnet.eth, 'getBalance').mockImplementation(() => Promise.reject(new Error('connection refused')));
+    // A view without `reporterInvalidated()`
+    jest.spyOn(kovan.eth, 'call').mockImplementation(() => Promise.resolve('0x'));
+
+    const runs = await mainTargets(['http://localhost:3000'], [posterTarget(mainnet, {name: 'mainnet'}), posterTarget(kovan, {name: 'kovan'})], {}, fetchFn);
+
+    expect(requests).toEqual(['http://localhost:3000']);
+    expect(runs.map(({target, run, error}) => [target.name, run, error && error.message])).toEqual([
+      ['mainnet', undefined, 'connection refused'],
+      ['kovan', {receipts: [], failedSources: [], outcomes: []}, undefined]
+    ]);
+  });
+
+  test('keeps the metrics of each target apart', async () => {
+    const fetchFn = mockFetch({'http://localhost:3000': {messages: [], signatures: [], prices: {}}});
+    const target = (name: string, balance: string) => {
+      const web3 = fundedWeb3(balance);
+      jest.spyOn(web3.eth, 'call').mockImplementation(() => Promise.resolve('0x'));
+
+      return posterTarget(web3, {name, options: {lowBalance: '1000000000000000000'}});
+    };
+
+    await mainTargets(['http://localhost:3000'], [target('mainnet', '2000000000000000000'), target('kovan', '100000000000000000')], {}, fetchFn);
+
+    expect(metrics.balance.get({target: 'mainnet'})).toEqual(2);
+    expect(metrics.balance.get({target: 'kovan'})).toEqual(0.1);
+    expect(metrics.lowBalance.get({target: 'mainnet'})).toEqual(0);
+    expect(metrics.lowBalance.get({target: 'kovan'})).toEqual(1);
+  });
+
+  test('flags a low balance', async () => {
+    const fetchFn = mockFetch({'http://localhost:3000': {messages: [], signatures: [], prices: {}}});
+    const web3 = fundedWeb3('100000000000000000');
+    jest.spyOn(web3.eth, 'call').mockImplementation(() => Promise.resolve('0x'));
+    const target = posterTarget(web3, {options: {lowBalance: '1000000000000000000'}});
+
+    const [{run}] = await mainTargets(['http://localhost:3000'], [target], {}, fetchFn);
+
+    expect(run).toEqual({receipts: [], failedSources: [], outcomes: [], lowBalance: '100000000000000000'});
+    expect(metrics.lowBalance.get({target: '0xview'})).toEqual(1);
+  });
+});
+
+describe('keeping anchors once the reporter is invalidated', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const keeperAnchors = [
+    {symbol: 'ETH', anchorPrice: new BigNumber(2000e6), storedPrice: new BigNumber(1900e6), windowTimestamp: now - 100},
+    {symbol: 'BTC', anchorPrice: new BigNumber(30000e6), storedPrice: new BigNumber(30000e6), windowTimestamp: now - 7200},
+    {symbol: 'DAI', anchorPrice: new BigNumber(1e6), storedPrice: new BigNumber(1e6), windowTimestamp: now - 100}
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('anchorKeeperItems picks anchors past their delta or older than their max age', async () => {
+    jest.spyOn(anchor, 'fetchKeeperAnchors').mockImplementation(() => Promise.resolve(keeperAnchors));
+
+    expect(await anchorKeeperItems(['ETH', 'BTC', 'DAI'], '0xview', {ETH: 1, BTC: 1, DAI: 1}, {BTC: 3600}, new Web3())).toEqual([
+      {symbol: 'ETH', price: 2000, prev: 1900, reason: 'deviation'},
+      {symbol: 'BTC', price: 30000, prev: 30000, reason: 'heartbeat'}
+    ]);
+  });
+
+  test('posts symbols alone and flags the run', async () => {
+    const fetchFn = mockFetch({'http://localhost:3000': endpointResponses['http://localhost:3000']});
+    const web3 = fundedWeb3();
+    const receipt = <any>{transactionHash: '0xhash', logs: []};
+    (<any>web3.eth).estimateGas = async () => 100_000;
+    jest.spyOn(rotation, 'isReporterInvalidated').mockImplementation(() => Promise.resolve(true));
+    jest.spyOn(anchor, 'fetchKeeperAnchors').mockImplementation(() => Promise.resolve(keeperAnchors));
+    const filterSpy = jest.spyOn(prevPrice, 'getDataAddress');
+    const post = jest.spyOn(postWithRetriesModule, 'postWithRetries').mockImplementation(async () => receipt);
+    const target = posterTarget(web3, {deltas: {ETH: 1, BTC: 1, DAI: 1}, assets: ['ETH', 'BTC', 'DAI']});
+
+    const [{run}] = await mainTargets(['http://localhost:3000'], [target], {}, fetchFn);
+
+    expect(filterSpy).not.toHaveBeenCalled();
+    expect(post).toHaveBeenCalledWith({
+      data: buildTrxData([], target.functionSig, ['ETH']),
+      to: '0xview',
+      gas: 150_000,
+      gasPrice: 1_000_000_000
+    }, target.signer, web3, {spendTracker: undefined, target: '0xview'});
+    expect(run).toEqual({receipts: [receipt], failedSources: [], outcomes: [{symbol: 'ETH', status: 'unknown'}], reporterInvalidated: true});
+    expect(metrics.reporterInvalidated.get({target: '0xview'})).toEqual(1);
+  });
+});
+
+describe('keeping anchor windows fresh', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('posts symbols with stale anchor windows, even without messages', async () => {
+    const fetchFn = mockFetch({'http://localhost:3000': {messages: [], signatures: [], prices: {}}});
+    const web3 = fundedWeb3();
+    const receipt = <any>{transactionHash: '0xhash', logs: []};
+    (<any>web3.eth).estimateGas = async () => 100_000;
+    jest.spyOn(rotation, 'isReporterInvalidated').mockImplementation(() => Promise.resolve(false));
+    jest.spyOn(prevPrice, 'getDataAddress').mockImplementation(() => Promise.resolve('0xdata'));
+    jest.spyOn(util, 'latestBlockTimestamp').mockImplementation(() => Promise.resolve(1600000000));
+    const staleWindows = jest.spyOn(anchor, 'fetchStaleWindows').mockImplementation(() => Promise.resolve(['COMP']));
+    const post = jest.spyOn(postWithRetriesModule, 'postWithRetries').mockImplementation(async () => receipt);
+    const target = posterTarget(web3, {deltas: {ETH: 1, COMP: 1}, assets: ['ETH', 'COMP'], options: {windowKeeper: 2, anchorCheck: 'off'}});
+
+    const [{run}] = await mainTargets(['http://localhost:3000'], [target], {}, fetchFn);
+
+    expect(staleWindows).toHaveBeenCalledWith(['ETH', 'COMP'], '0xview', 2, web3);
+    expect(post).toHaveBeenCalledWith({
+      data: buildTrxData([], target.functionSig, ['COMP']),
+      to: '0xview',
+      gas: 150_000,
+      gasPrice: 1_000_000_000
+    }, target.signer, web3, {spendTracker: undefined, target: '0xview'});
+    expect(run).toEqual({receipts: [receipt], failedSources: [], outcomes: [{symbol: 'COMP', status: 'unknown'}]});
+    expect(metrics.windowPosts.get({target: '0xview', symbol: 'COMP'})).toEqual(1);
+    expect(metrics.postOutcomes.get({target: '0xview', symbol: 'COMP', outcome: 'unknown'})).toEqual(1);
+  });
 });
@@ -0,0 +1,76 @@
+import Web3 from 'web3';
+import { getPreviousData } from '../src/prev_price';
+import { encode } from '../src/util';
+
+const dataAddress = '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D';
+const reporter = '0x1826265c3156c3B9b9e751DC4635376F3CD6ee06';
+
+const stored = {
+  BTC: [1593209100, 9149090000],
+  ETH: [1593209200, 229435000]
+};
+
+// A minimal JSON-RPC provider which answers `get(address,string)` calls from `stored`,
+// optionally refusing batch requests the way some hosted nodes do
+function mockProvider(supportsBatch: boolean) {
+  const web3 = new Web3();
+  const responses = Object.fromEntries(Object.entries(stored).map(([symbol, [timestamp, value]]) => {
+    return [
+      encode('get(address,string)', [reporter, symbol]),
+      web3.eth.abi.encodeParameters(['uint64', 'uint64'], [timestamp, value])
+    ];
+  }));
+
+  const provider = {
+    requests: <any[]>[],
+    send(payload, callback) {
+      provider.requests.push(payload);
+
+      const respond = ({id, jsonrpc, params: [{data}]}) => ({id, jsonrpc, result: responses[data]});
+
+      if (Array.isArray(payload)) {
+        if (!supportsBatch) {
+          return callback(new Error('Batch requests are not supported'));
+        }
+
+        return callback(null, payload.map(respond));
+      }
+
+      return callback(null, respond(payload));
+    }
+  };
+
+  return provider;
+}
+
+describe('reading previous prices', () => {
+  test('getPreviousData batches lookups into a single request', async () => {
+    const provider = mockProvider(true);
+    const data = await getPreviousData([{source: reporter, symbol: 'btc'}, {source: reporter, symbol: 'ETH'}], dataAddress, new Web3(<any>provider));
+
+    expect(data).toEqual([
+      {timestamp: 1593209100, value: 9149090000},
+      {timestamp: 1593209200, value: 229435000}
+    ]);
+    expect(provider.requests.length).toEqual(1);
+    expect(provider.requests[0].length).toEqual(2);
+  });
+
+  test('getPreviousData falls back to individual calls when batching fails', async () => {
+    const provider = mockProvider(false);
+    const data = await getPreviousData([{source: reporter, symbol: 'BTC'}, {source: reporter, symbol: 'ETH'}], dataAddress, new Web3(<any>provider));
+
+    expect(data).toEqual([
+      {timestamp: 1593209100, value: 9149090000},
+      {timestamp: 1593209200, value: 229435000}
+    ]);
+    expect(provider.requests.length).toEqual(3);
+  });
+
+  test('getPreviousData with no lookups makes no requests', async () => {
+    const provider = mockProvider(true);
+
+    expect(await getPreviousData([], dataAddress, new Web3(<any>provider))).toEqual([]);
+    expect(provider.requests.length).toEqual(0);
+  });
+});
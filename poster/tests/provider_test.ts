@@ -0,0 +1,139 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import Web3 from 'web3';
+import { metrics } from '../src/metrics';
+import { FailoverProvider, describeProvider } from '../src/provider';
+
+type Handler = (request: {method: string, params: any[], id: any}) => {status?: number, result?: any, error?: any} | 'hang';
+
+// Answers JSON-RPC requests to each URL with its handler, recording the methods each one was asked for
+function stubFetch(handlers: {[url: string]: Handler}) {
+  const requests: {[url: string]: string[]} = {};
+  const fetchFn = async (url, {body}) => {
+    const request = JSON.parse(body);
+    const answer = handlers[url](request);
+    requests[url] = [...(requests[url] || []), request.method];
+
+    if (answer === 'hang') {
+      return new Promise(() => {});
+    }
+    const {status = 200, result, error} = answer;
+    return {
+      status,
+      json: async () => ({jsonrpc: '2.0', id: request.id, ...(error ? {error} : {result})})
+    };
+  };
+
+  return {fetchFn, requests};
+}
+
+const healthy: Handler = ({method, params}) => {
+  switch (method) {
+    case 'eth_blockNumber': return {result: '0x10'};
+    case 'eth_sendRawTransaction': return {result: '0xhash'};
+    default: return {error: {code: -32601, message: `${method} not supported`}};
+  }
+};
+const down: Handler = () => ({status: 502});
+
+function call(provider: FailoverProvider, method: string, params: any[] = []): Promise<any> {
+  return new Promise((resolve, reject) => {
+    provider.send({jsonrpc: '2.0', id: 1, method, params}, (error, response) => error ? reject(error) : resolve(response));
+  });
+}
+
+describe('provider failover', () => {
+  beforeEach(() => {
+    metrics.providerSwitches.reset();
+    metrics.providerErrors.reset();
+  });
+
+  test('fails over on 5xx and timeouts, in order', async () => {
+    const {fetchFn, requests} = stubFetch({
+      'https://primary.example/v3/secret': down,
+      'https://hanging.example': () => 'hang',
+      'https://backup.example': healthy
+    });
+    const provider = new FailoverProvider(['https://primary.example/v3/secret', 'https://hanging.example', 'https://backup.example'], {timeout: 50, target: 'mainnet'}, fetchFn);
+
+    expect(await call(provider, 'eth_blockNumber')).toEqual({jsonrpc: '2.0', id: 1, result: '0x10'});
+    expect(provider.active).toEqual(2);
+    expect(requests['https://hanging.example']).toEqual(['eth_blockNumber']);
+    expect(metrics.providerErrors.get({target: 'mainnet', provider: 'primary.example'})).toEqual(1);
+    expect(metrics.providerSwitches.get({target: 'mainnet', from: 'primary.example', to: 'backup.example'})).toEqual(1);
+    expect(metrics.activeProvider.get({target: 'mainnet'})).toEqual(2);
+  });
+
+  test('passes JSON-RPC errors through without failing over', async () => {
+    const {fetchFn} = stubFetch({'https://primary.example': healthy, 'https://backup.example': healthy});
+    const provider = new FailoverProvider(['https://primary.example', 'https://backup.example'], {}, fetchFn);
+
+    expect(await call(provider, 'eth_call')).toMatchObject({error: {message: 'eth_call not supported'}});
+    expect(provider.active).toEqual(0);
+  });
+
+  test('rebroadcasts sent transactions on the new provider', async () => {
+    let primaryUp = true;
+    const {fetchFn, requests} = stubFetch({
+      'https://primary.example': (request) => primaryUp ? healthy(request) : down(request),
+      'https://backup.example': healthy
+    });
+    const provider = new FailoverProvider(['https://primary.example', 'https://backup.example'], {}, fetchFn);
+
+    await call(provider, 'eth_sendRawTransaction', ['0xsigned']);
+    primaryUp = false;
+    await call(provider, 'eth_blockNumber');
+
+    expect(requests['https://backup.example']).toEqual(['eth_blockNumber', 'eth_sendRawTransaction', 'eth_blockNumber']);
+  });
+
+  test('returns to the preferred provider once it recovers', async () => {
+    let primaryUp = false;
+    const {fetchFn} = stubFetch({
+      'https://primary.example': (request) => primaryUp ? healthy(request) : down(request),
+      'https://backup.example': healthy
+    });
+    const provider = new FailoverProvider(['https://primary.example', 'https://backup.example'], {healthCheckInterval: 0}, fetchFn);
+
+    await call(provider, 'eth_blockNumber');
+    expect(provider.active).toEqual(1);
+
+    await call(provider, 'eth_blockNumber');
+    expect(provider.active).toEqual(1);
+
+    primaryUp = true;
+    await call(provider, 'eth_blockNumber');
+    expect(provider.active).toEqual(0);
+    expect(metrics.providerSwitches.get({from: 'backup.example', to: 'primary.example'})).toEqual(1);
+  });
+
+  test('fails once every provider has failed', async () => {
+    const {fetchFn} = stubFetch({'https://primary.example': down, 'https://backup.example': down});
+    const provider = new FailoverProvider(['https://primary.example', 'https://backup.example'], {}, fetchFn);
+
+    await expect(call(provider, 'eth_blockNumber')).rejects.toThrow('All providers failed eth_blockNumber: primary.example (HTTP 502)');
+  });
+
+  test('web3 reads fail over from a dead node to a live one', async () => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', () => {
+        const {id} = JSON.parse(body);
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({jsonrpc: '2.0', id, result: '0x2a'}));
+      });
+    });
+    await new Promise((okay) => server.listen(0, '127.0.0.1', () => okay()));
+
+    try {
+      const live = `http://127.0.0.1:${(<AddressInfo>server.address()).port}`;
+      const web3 = new Web3(<any>new FailoverProvider(['http://127.0.0.1:1', live]));
+
+      expect(await web3.eth.getBlockNumber()).toEqual(42);
+      expect(describeProvider(live)).toEqual(live.replace('http://', ''));
+    } finally {
+      await new Promise((okay) => server.close(() => okay()));
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import Web3 from 'web3';
+import { metrics } from '../src/metrics';
+import { receiptOutcomes, reportOutcomes } from '../src/receipt';
+
+const web3 = new Web3();
+
+function log(signature: string, types: string[], values: any[], topics: string[] = []) {
+  return {
+    topics: [web3.eth.abi.encodeEventSignature(signature), ...topics],
+    data: web3.eth.abi.encodeParameters(types, values)
+  };
+}
+
+const write = (symbol, timestamp, value) =>
+  log('Write(address,string,uint64,uint64)', ['string', 'uint64', 'uint64'], [symbol, timestamp, value], [web3.eth.abi.encodeParameter('address', '0xfCEAdAFab14d46e20144F48824d0C09B1a03F2BC')]);
+const notWritten = (prior, message, block) =>
+  log('NotWritten(uint64,uint256,uint256)', ['uint64', 'uint256', 'uint256'], [prior, message, block]);
+
+describe('post receipts', () => {
+  test('receiptOutcomes', () => {
+    const feedItems = <OpenPriceFeedItem[]>[
+      {symbol: 'BTC', message: '0x1'},
+      {symbol: 'BTC', message: '0x2'},
+      {symbol: 'ETH', message: '0x3'},
+      {symbol: 'DAI', message: '0x4'},
+      {symbol: 'ZRX', message: '0x5'}
+    ];
+    const receipt = <any>{
+      logs: [
+        // One of the two BTC messages is written
+        notWritten(1600000000, 1600000000, 1600000100),
+        write('BTC', 1600000060, 10101000000),
+        notWritten(1600000000, 1599999000, 1600000100),
+        write('DAI', 1600000060, 1010000),
+        write('ZRX', 1600000060, 1000000),
+        // Some other contract's event
+        log('Transfer(address,address,uint256)', ['uint256'], [1]),
+        log('AnchorPriceUpdated(string,uint256,uint256,uint256)', ['string', 'uint256', 'uint256', 'uint256'], ['BTC', 10100000000, 1600000000, 1600000100]),
+        log('PriceUpdated(string,uint256)', ['string', 'uint256'], ['BTC', 10101000000]),
+        log('PriceUpdated(string,uint256)', ['string', 'uint256'], ['ETH', 1000000000]),
+        log('PriceGuarded(string,uint256,uint256)', ['string', 'uint256', 'uint256'], ['DAI', 1010000, 1000000])
+      ]
+    };
+
+    expect(receiptOutcomes(receipt, feedItems, web3)).toEqual([
+      {symbol: 'BTC', status: 'stored', price: 10101, anchorPrice: 10100},
+      {symbol: 'ETH', status: 'not-written', priorTimestamp: 1600000000, messageTimestamp: 1599999000, blockTimestamp: 1600000100},
+      {symbol: 'DAI', status: 'guarded', reporterPrice: 1.01, anchorPrice: 1},
+      {symbol: 'ZRX', status: 'unknown'}
+    ]);
+  });
+
+  test('reportOutcomes counts outcomes by symbol', () => {
+    metrics.postOutcomes.reset();
+
+    reportOutcomes([
+      {symbol: 'BTC', status: 'stored', price: 10101},
+      {symbol: 'DAI', status: 'guarded', reporterPrice: 1.01, anchorPrice: 1}
+    ]);
+    reportOutcomes([{symbol: 'BTC', status: 'stored', price: 10101}], {target: 'kovan'});
+
+    expect(metrics.postOutcomes.get({symbol: 'BTC', outcome: 'stored'})).toEqual(1);
+    expect(metrics.postOutcomes.get({symbol: 'DAI', outcome: 'guarded'})).toEqual(1);
+    expect(metrics.postOutcomes.get({target: 'kovan', symbol: 'BTC', outcome: 'stored'})).toEqual(1);
+  });
+});
@@ -0,0 +1,94 @@
+import Web3 from 'web3';
+import * as postWithRetriesModule from '../src/post_with_retries';
+import { checkRotation, encodeRotationMessage, invalidateReporter, isReporterInvalidated, signRotation } from '../src/rotation';
+import { privateKeySigner } from '../src/signer';
+import * as util from '../src/util';
+
+const reporterKey = '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510';
+const reporter = '0x8121bF07C873586DFe9B23F1687B73108797dac0';
+const view = '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D';
+const fees = {gasPrice: 1_000_000_000};
+
+// Answers the view's `reporterInvalidated()` with each of the given values in turn
+function mockView(reporterAddress: string, invalidated: boolean[]) {
+  return jest.spyOn(util, 'read').mockImplementation(async (_address, sig) =>
+    sig === 'reporter()' ? reporterAddress : invalidated.shift()
+  );
+}
+
+describe('reporter invalidation', () => {
+  const web3 = new Web3();
+  const signer = privateKeySigner('0x' + '11'.repeat(32), web3);
+  const receipt = <any>{transactionHash: '0xhash'};
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signRotation signs the rotate message as the reporter', () => {
+    const rotation = signRotation(reporterKey, web3);
+
+    expect(rotation.message).toEqual(encodeRotationMessage('0x0000000000000000000000000000000000000000', web3));
+    expect(rotation.signatory).toEqual(reporter);
+    expect(util.recoverSource(rotation.message, rotation.signature, web3)).toEqual(reporter);
+    expect(() => checkRotation(rotation, web3)).not.toThrow();
+  });
+
+  test('checkRotation refuses other messages and signatories', () => {
+    const rotation = signRotation(reporterKey, web3);
+    const prices = web3.eth.abi.encodeParameters(['string', 'uint64', 'string', 'uint64'], ['prices', 0, 'ETH', 100]);
+
+    expect(() => checkRotation({...rotation, signatory: view}, web3)).toThrow(`Rotation was signed by ${reporter}, not ${view}`);
+    expect(() => checkRotation({...rotation, message: prices}, web3)).toThrow('Expected a `rotate` message, got `prices`');
+  });
+
+  test('invalidateReporter submits the rotation and checks the view', async () => {
+    const rotation = signRotation(reporterKey, web3);
+    mockView(reporter, [false, true]);
+    const post = jest.spyOn(postWithRetriesModule, 'postWithRetries').mockImplementation(async () => receipt);
+
+    expect(await invalidateReporter(view, rotation, signer, 200000, fees, web3)).toEqual(receipt);
+    expect(post).toHaveBeenCalledWith({
+      data: util.encode('invalidateReporter(bytes,bytes)', [rotation.message, rotation.signature]),
+      to: view,
+      gas: 200000,
+      gasPrice: 1_000_000_000
+    }, signer, web3);
+  });
+
+  test('invalidateReporter fails if the view still trusts the reporter', async () => {
+    mockView(reporter, [false, false]);
+    jest.spyOn(postWithRetriesModule, 'postWithRetries').mockImplementation(async () => receipt);
+
+    await expect(invalidateReporter(view, signRotation(reporterKey, web3), signer, 200000, fees, web3))
+      .rejects.toThrow(`View ${view} still has \`reporterInvalidated() == false\` after 0xhash`);
+  });
+
+  test('invalidateReporter leaves invalidated views, and refuses other reporters', async () => {
+    const post = jest.spyOn(postWithRetriesModule, 'postWithRetries');
+
+    mockView(reporter, [true]);
+    expect(await invalidateReporter(view, signRotation(reporterKey, web3), signer, 200000, fees, web3)).toBeUndefined();
+
+    mockView(view, [false]);
+    await expect(invalidateReporter(view, signRotation(reporterKey, web3), signer, 200000, fees, web3))
+      .rejects.toThrow(`View ${view} has reporter ${view}, but the rotation was signed by ${reporter}`);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('isReporterInvalidated takes views without it as trusting their reporter, but not provider errors', async () => {
+    const answer = (call: () => Promise<string>) => jest.spyOn(web3.eth, 'call').mockImplementation(call);
+
+    answer(async () => web3.eth.abi.encodeParameter('bool', true));
+    expect(await isReporterInvalidated(view, web3)).toEqual(true);
+
+    answer(async () => '0x');
+    expect(await isReporterInvalidated(view, web3)).toEqual(false);
+
+    answer(() => Promise.reject(new Error('Returned error: execution reverted')));
+    expect(await isReporterInvalidated(view, web3)).toEqual(false);
+
+    answer(() => Promise.reject(new Error('All providers failed eth_call: mainnet.example (HTTP 502)')));
+    await expect(isReporterInvalidated(view, web3)).rejects.toThrow('All providers failed eth_call');
+  });
+});
@@ -0,0 +1,72 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import Web3 from 'web3';
+import { startLocalSigner } from './support/local_signer';
+import { keystoreSigner, loadSigner, privateKeySigner, remoteSigner } from '../src/signer';
+
+const privateKey = '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510';
+const address = '0x8121bF07C873586DFe9B23F1687B73108797dac0';
+const transaction = {
+  to: '0x4fe3dd76d873CAF6Cbf56E442B2C808D3984df1D',
+  data: '0x',
+  gas: 100_000,
+  gasPrice: 10_000_000,
+  nonce: 3,
+  chainId: 1
+};
+
+describe('signers', () => {
+  const web3 = new Web3();
+
+  test('privateKeySigner', async () => {
+    const signer = privateKeySigner(privateKey.slice(2), web3);
+    const {rawTransaction} = await web3.eth.accounts.signTransaction(transaction, privateKey);
+
+    expect(signer.address).toEqual(address);
+    expect(await signer.signTransaction(transaction, web3)).toEqual(rawTransaction);
+  });
+
+  test('keystoreSigner decrypts the keystore', () => {
+    const keystore = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poster-')), 'keystore.json');
+    fs.writeFileSync(keystore, JSON.stringify((<any>web3.eth.accounts).encrypt(privateKey, 'hunter2', {n: 1024})));
+
+    expect(keystoreSigner(keystore, 'hunter2', web3).address).toEqual(address);
+    expect(() => keystoreSigner(keystore, 'hunter3', web3)).toThrow(`Could not decrypt keystore ${keystore}`);
+  });
+
+  test('remoteSigner signs with eth_signTransaction', async () => {
+    const localSigner = await startLocalSigner(privateKey, web3);
+
+    try {
+      const signer = await remoteSigner(localSigner.url, undefined);
+
+      expect(signer.address).toEqual(address);
+      expect(await signer.signTransaction(transaction, web3))
+        .toEqual(await privateKeySigner(privateKey, web3).signTransaction(transaction, web3));
+
+      const stranger = await remoteSigner(localSigner.url, '0xfCEAdAFab14d46e20144F48824d0C09B1a03F2BC');
+      await expect(stranger.signTransaction(transaction, web3))
+        .rejects.toThrow(`Remote signer ${localSigner.url} failed eth_signTransaction: Unknown account 0xfCEAdAFab14d46e20144F48824d0C09B1a03F2BC`);
+    } finally {
+      await localSigner.close();
+    }
+  });
+
+  test('loadSigner takes exactly one kind of signer', async () => {
+    expect((await loadSigner({key: privateKey}, web3)).address).toEqual(address);
+    await expect(loadSigner({}, web3)).rejects.toThrow('Provide exactly one of a poster key, a keystore or a remote signer');
+    await expect(loadSigner({key: privateKey, remoteUrl: 'http://127.0.0.1:8550'}, web3))
+      .rejects.toThrow('Provide exactly one of a poster key, a keystore or a remote signer');
+    await expect(loadSigner({keystore: 'keystore.json'}, web3)).rejects.toThrow('Keystore keystore.json needs a password');
+  });
+
+  test('a dry run only needs the poster address', async () => {
+    const signer = await loadSigner({address: address.toLowerCase(), dryRun: true}, web3);
+
+    expect(signer.address).toEqual(address);
+    await expect(signer.signTransaction(transaction, web3)).rejects.toThrow('A dry run never signs, but was asked to');
+    await expect(loadSigner({address}, web3)).rejects.toThrow('Provide exactly one of a poster key, a keystore or a remote signer');
+    await expect(loadSigner({dryRun: true}, web3)).rejects.toThrow('Provide exactly one of a poster key, a keystore or a remote signer, or a poster address for a dry run');
+  });
+});
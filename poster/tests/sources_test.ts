@@ -0,0 +1,144 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fetchPayloads, fetchSources } from '../src/poster';
+import { metrics } from '../src/metrics';
+import { renderTemplate } from '../src/sources/http';
+import { getSourceAdapter, registerSourceAdapter, registerSourceAdapterModule } from '../src/sources/registry';
+
+const payload = {
+  messages: ['0xmessage'],
+  signatures: ['0xsignature'],
+  prices: {eth: '260'}
+};
+
+// Records each request and answers with the response for its URL
+function mockFetch(responses) {
+  const requests: {url: string, options: any}[] = [];
+  const fetchFn = async (url, options = {}) => {
+    requests.push({url, options});
+    if (responses[url] === undefined) {
+      throw new Error(`Mock Fetch: Unknown URL \`${url}\``);
+    }
+    return {json: async () => responses[url]};
+  };
+
+  return {fetchFn, requests};
+}
+
+describe('source adapters', () => {
+  test('bare URLs use the url adapter', async () => {
+    const {fetchFn, requests} = mockFetch({'http://localhost:3000': payload});
+
+    expect(await fetchPayloads(['http://localhost:3000'], fetchFn)).toEqual([payload]);
+    expect(requests.map(({url}) => url)).toEqual(['http://localhost:3000']);
+  });
+
+  test('coinbase signs its requests', async () => {
+    const {fetchFn, requests} = mockFetch({'https://api.pro.coinbase.com/oracle': payload});
+    const source = {
+      source: 'coinbase',
+      endpoint: 'https://api.pro.coinbase.com/oracle',
+      api_key_id: 'key',
+      api_secret: Buffer.from('secret').toString('base64'),
+      api_passphrase: 'passphrase'
+    };
+
+    expect(await fetchPayloads([JSON.stringify(source)], fetchFn)).toEqual([payload]);
+    expect(requests[0].options.headers).toMatchObject({
+      'CB-ACCESS-KEY': 'key',
+      'CB-ACCESS-PASSPHRASE': 'passphrase',
+      'CB-ACCESS-SIGN': expect.any(String)
+    });
+  });
+
+  test('http sources template their headers and unwrap the payload', async () => {
+    process.env['POSTER_TEST_TOKEN'] = 'hunter2';
+    const {fetchFn, requests} = mockFetch({'https://example.com/oracle': {data: {oracle: payload}}});
+    const source = {
+      source: 'http',
+      endpoint: 'https://example.com/oracle',
+      headers: {'Authorization': 'Bearer {{env.POSTER_TEST_TOKEN}}'},
+      json_path: 'data.oracle'
+    };
+
+    try {
+      expect(await fetchPayloads([JSON.stringify(source)], fetchFn)).toEqual([payload]);
+      expect(requests[0].options).toEqual({method: 'GET', headers: {'Authorization': 'Bearer hunter2'}, body: undefined});
+    } finally {
+      delete process.env['POSTER_TEST_TOKEN'];
+    }
+  });
+
+  test('renderTemplate', () => {
+    expect(renderTemplate('{{timestamp}}:{{ env.KEY }}', {KEY: 'abc'}, 1600000000.5)).toEqual('1600000000:abc');
+    expect(() => renderTemplate('{{env.MISSING}}', {})).toThrow('Environment variable `MISSING` is not set');
+    expect(() => renderTemplate('{{nonce}}', {})).toThrow('Unknown template variable `nonce`');
+  });
+
+  test('rejects unknown and misconfigured sources', async () => {
+    const {fetchFn} = mockFetch({});
+
+    await expect(fetchPayloads(['{"source": "kraken"}'], fetchFn)).rejects.toThrow('Unknown source `kraken`');
+    await expect(fetchPayloads(['{"source": "coinbase", "endpoint": "https://api.pro.coinbase.com/oracle"}'], fetchFn))
+      .rejects.toThrow('Invalid `coinbase` source: missing `api_key_id`, missing `api_secret`, missing `api_passphrase`');
+    await expect(fetchPayloads(['{"source": "http", "endpoint": "https://example.com", "headers": {"X-Retries": 3}}'], fetchFn))
+      .rejects.toThrow('Invalid `http` source: `headers` must be a map of strings');
+  });
+
+  test('registers adapters from a module path', async () => {
+    const modulePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'poster-')), 'adapter.js');
+    fs.writeFileSync(modulePath, `
+      module.exports = {
+        name: 'fixed',
+        schema: {symbol: {type: 'string'}},
+        fetch: async (config) => ({symbol: config.symbol}),
+        normalize: (raw) => ({messages: ['0x' + raw.symbol], signatures: ['0xsig'], prices: {}})
+      };
+    `);
+
+    registerSourceAdapterModule(modulePath);
+
+    expect(getSourceAdapter('fixed').name).toEqual('fixed');
+    expect(await fetchPayloads(['{"source": "fixed", "symbol": "eth"}'], mockFetch({}).fetchFn))
+      .toEqual([{messages: ['0xeth'], signatures: ['0xsig'], prices: {}}]);
+    expect(() => registerSourceAdapter(getSourceAdapter('fixed'))).toThrow('Source adapter `fixed` is already registered');
+  });
+});
+
+describe('fetching sources', () => {
+  const options = {sourceTimeout: 0.05, sourceRetries: 2, sourceBackoff: 1};
+
+  test('carries on with the sources which succeed', async () => {
+    metrics.sourceFailures.reset();
+    const {fetchFn, requests} = mockFetch({'http://localhost:3000': payload});
+
+    const {payloads, failures} = await fetchSources(['http://localhost:3000', 'http://localhost:3001'], fetchFn, options);
+
+    expect(payloads).toEqual([payload]);
+    expect(failures).toEqual([{source: 'http://localhost:3001', error: 'Mock Fetch: Unknown URL `http://localhost:3001`'}]);
+    expect(requests.filter(({url}) => url === 'http://localhost:3001').length).toEqual(3);
+    expect(metrics.sourceFailures.get({source: 'http://localhost:3001'})).toEqual(1);
+  });
+
+  test('retries a source which times out', async () => {
+    let calls = 0;
+    const fetchFn = async (_url) => {
+      calls++;
+      if (calls === 1) {
+        await new Promise(okay => setTimeout(okay, 1000));
+      }
+      return {json: async () => payload};
+    };
+
+    expect(await fetchSources(['http://localhost:3000'], fetchFn, options)).toEqual({payloads: [payload], failures: []});
+    expect(calls).toEqual(2);
+  });
+
+  test('fails unless enough sources succeed', async () => {
+    const {fetchFn} = mockFetch({'http://localhost:3000': payload});
+
+    await expect(fetchPayloads(['http://localhost:3000', 'http://localhost:3001'], fetchFn, {...options, sourceRetries: 0, minSources: 2}))
+      .rejects.toThrow('Only 1 of 2 sources could be fetched, at least 2 required. Failing sources: http://localhost:3001 (Mock Fetch: Unknown URL `http://localhost:3001`)');
+  });
+});
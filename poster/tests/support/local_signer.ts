@@ -0,0 +1,67 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import Web3 from 'web3';
+
+// A stand-in for a remote signer, holding a key in memory and answering `eth_accounts` and
+// `eth_signTransaction` like Clef does. Only for tests, never for real keys.
+
+export interface LocalSigner {
+  url: string
+  close(): Promise<void>
+}
+
+export function startLocalSigner(privateKey: string, web3: Web3, port: number = 0): Promise<LocalSigner> {
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+
+  const handle = async ({method, params}): Promise<any> => {
+    switch (method) {
+      case 'eth_accounts':
+        return [account.address];
+
+      case 'eth_signTransaction': {
+        const [{from, ...transaction}] = params;
+        if (from.toLowerCase() !== account.address.toLowerCase()) {
+          throw new Error(`Unknown account ${from}`);
+        }
+        // web3 only takes a numeric chain id
+        const {rawTransaction} = await account.signTransaction({...transaction, chainId: Number(transaction.chainId)});
+        return {raw: rawTransaction, tx: transaction};
+      }
+
+      default:
+        throw new Error(`Method ${method} not supported`);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', async () => {
+      let response;
+      try {
+        const request = JSON.parse(body);
+        try {
+          response = {jsonrpc: '2.0', id: request.id, result: await handle(request)};
+        } catch (e) {
+          response = {jsonrpc: '2.0', id: request.id, error: {code: -32000, message: e.message}};
+        }
+      } catch (e) {
+        response = {jsonrpc: '2.0', id: null, error: {code: -32700, message: 'Parse error'}};
+      }
+
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const address = <AddressInfo>server.address();
+      resolve({
+        url: `http://127.0.0.1:${address.port}`,
+        close: () => new Promise((okay) => server.close(() => okay()))
+      });
+    });
+  });
+}
@@ -0,0 +1,72 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import Web3 from 'web3';
+import { cancelStuckNonce } from '../src/target';
+
+const privateKey = '0x620622d7fbe43a4dccd3aef6ef90d20728508c563719380f289cf3f9460d0510';
+const address = '0x8121bF07C873586DFe9B23F1687B73108797dac0';
+const hash = '0x' + 'ab'.repeat(32);
+
+describe('cancelling a stuck nonce', () => {
+  test('needs only the provider, network, signer and fee options', async () => {
+    const sent: string[] = [];
+    // A node whose pending nonce 3 is stuck, and which mines whatever replaces it
+    const results = {
+      eth_chainId: () => '0x7a69',
+      net_version: () => '31337',
+      eth_getTransactionCount: ([, block]) => block === 'pending' ? '0x4' : (sent.length > 0 ? '0x4' : '0x3'),
+      eth_gasPrice: () => '0x3b9aca00',
+      eth_getBalance: () => '0xde0b6b3a7640000',
+      eth_blockNumber: () => '0x10',
+      eth_sendRawTransaction: ([raw]) => {
+        sent.push(raw);
+        return hash;
+      },
+      eth_getTransactionReceipt: () => sent.length === 0 ? null : {
+        transactionHash: hash,
+        transactionIndex: '0x0',
+        blockHash: '0x' + 'cd'.repeat(32),
+        blockNumber: '0x10',
+        from: address,
+        to: address,
+        cumulativeGasUsed: '0x5208',
+        gasUsed: '0x5208',
+        contractAddress: null,
+        logs: [],
+        logsBloom: '0x' + '00'.repeat(256),
+        status: '0x1'
+      }
+    };
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', () => {
+        const {id, method, params} = JSON.parse(body);
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({jsonrpc: '2.0', id, result: results[method](params)}));
+      });
+    });
+    await new Promise((okay) => server.listen(0, '127.0.0.1', () => okay()));
+
+    try {
+      const receipt = await cancelStuckNonce({
+        'web3-provider': `http://127.0.0.1:${(<AddressInfo>server.address()).port}`,
+        'poster-key': privateKey,
+        'gas-price': 2_000_000_000,
+        'fee-percentile': 50
+      }, 3);
+
+      expect(receipt).toMatchObject({transactionHash: hash, status: true});
+      expect(sent).toEqual([(await new Web3().eth.accounts.signTransaction({
+        to: address,
+        value: 0,
+        gas: 21000,
+        nonce: 3,
+        gasPrice: 2_000_000_000,
+        chainId: 31337
+      }, privateKey)).rawTransaction]);
+    } finally {
+      await new Promise((okay) => server.close(() => okay()));
+    }
+  });
+});